@@ -0,0 +1,109 @@
+// Service worker: keeps the app usable on patchy mobile data
+//   app shell   index.html network-first (falls back to the cached copy), hashed /assets/* cache-first
+//   /data/*     cache-first, so the timetable works offline. Each feed lives in /data/<feed id>/, where
+//               the processor's version.json lists its files; the default feed's are all cached on
+//               install, other cities as they're opened. The page checks for newer data itself by
+//               fetching version.json with cache: 'no-store', which always goes to the network here.
+//               /data/feeds.json (the cities) is network-first so newly processed feeds show up.
+//   /scenarios/ network-first, so the bundled scenarios stay available offline
+//   map tiles   CartoDB tiles cache-first once seen, capped at MAX_TILES
+// Bump SHELL_CACHE when this file's caching rules change.
+
+const SHELL_CACHE = 'kb-shell-v2';
+const DATA_CACHE = 'kb-data-v2';  // also cleared by the page when it switches to newer data (src/utils/offline.js)
+const TILE_CACHE = 'kb-tiles';
+const MAX_TILES = 2000;
+const SHELL_FILES = ['/', '/manifest.webmanifest', '/icons/icon.svg'];
+const TILE_HOST = /\.basemaps\.cartocdn\.com$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        // index.html references the hashed bundles, cache them up front so the first offline visit works
+        const html = await (await shell.match('/')).text();
+        const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]);
+        await shell.addAll(assets);
+        // Chunks loaded later (the simulation worker) are only referenced from inside the bundles
+        const scripts = await Promise.all(assets.filter(asset => asset.endsWith('.js')).map(async asset => (await shell.match(asset)).text()));
+        const chunks = scripts.flatMap(code => [...code.matchAll(/"(\/assets\/[^"]+\.js)"/g)].map(match => match[1]));
+        await shell.addAll([...new Set(chunks)].filter(chunk => !assets.includes(chunk)));
+        await precacheData().catch(() => { /* offline or no feeds.json yet, runtime caching fills in */ });
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => !keep.includes(name)).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+        else if (url.pathname.startsWith('/assets/')) event.respondWith(cacheFirst(request, SHELL_CACHE));
+        else if (url.pathname === '/data/feeds.json') event.respondWith(networkFirst(request, DATA_CACHE));
+        else if (url.pathname.startsWith('/data/') && request.cache !== 'no-store') event.respondWith(cacheFirst(request, DATA_CACHE));
+        else if (url.pathname.startsWith('/scenarios/')) event.respondWith(networkFirst(request, SHELL_CACHE));
+        return;
+    }
+
+    if (TILE_HOST.test(url.hostname)) event.respondWith(cacheFirst(request, TILE_CACHE, MAX_TILES));
+});
+
+// Helper: Cache the feed list and every processed data file of the default feed
+async function precacheData() {
+    const index = await fetch('/data/feeds.json', { cache: 'no-store' });
+    if (!index.ok) return;
+    const { default: feedId } = await index.clone().json();
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put('/data/feeds.json', index);
+    if (!feedId) return;
+
+    const response = await fetch(`/data/${feedId}/version.json`, { cache: 'no-store' });
+    if (!response.ok) return;
+    const manifest = await response.clone().json();
+    await cache.addAll(manifest.files.map(file => `/data/${feedId}/${file}`));
+    await cache.put(`/data/${feedId}/version.json`, response);
+}
+
+async function cacheFirst(request, cacheName, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        if (maxEntries) trimCache(cache, maxEntries);
+    }
+    return response;
+}
+
+// Helper: Network, refreshing the cached copy under `key` (every page is served by index.html)
+async function networkFirst(request, cacheName, key = request) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (err) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+// Helper: Drop the oldest entries (keys come back in insertion order)
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,186 @@
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import zlib from 'zlib';
+import { parseArgs } from 'util';
+import { decodeSchedule, getRouteFiles } from '../src/utils/scheduleFormat.js';
+import { loadData, addDays, getZonedTime } from '../src/utils/gtfs.js';
+import { createSimulationHandler } from '../src/utils/simulation.js';
+import { loadFeedConfig, findFeed, feedDataDir } from './feed-config.js';
+
+// Compares the compact schedule against the legacy monolithic schedule.json (payload size and
+// parse/decode cost), then measures time to first bus: fetching the feed from a local server
+// throttled like the Chrome DevTools network presets (latency per request, bandwidth shared by all
+// requests), loadData(), handing the schedule to the simulation engine the way useSimulation does and
+// the first tick that puts a bus on the map. Drawing the marker isn't included; in the browser the app
+// records the whole thing as the "time-to-first-bus" performance measure.
+//
+//   node scripts/benchmark-schedule.js [--feed <id>]     (default the default feed in scripts/feeds.json)
+
+const { values: args } = parseArgs({ options: { feed: { type: 'string', short: 'f' } } });
+const feed = findFeed(loadFeedConfig(), args.feed);
+const DATA_DIR = feedDataDir(feed.id);
+
+const PROFILES = [
+    { name: 'No throttling', kbps: Infinity, latency: 0 },
+    { name: 'Fast 3G', kbps: 1440, latency: 563 },
+    { name: 'Slow 3G', kbps: 400, latency: 2000 },
+];
+const RUNS = 3; // per profile, the median is reported
+const CHUNK = 1024; // bytes the throttled server sends at a time
+const LEGACY_FILE = 'legacy/schedule.json';
+
+const readText = (file) => fs.readFileSync(path.join(DATA_DIR, file), 'utf8');
+
+const time = (fn, runs = 20) => {
+    fn(); // warm up
+    const start = performance.now();
+    for (let i = 0; i < runs; i++) fn();
+    return (performance.now() - start) / runs;
+};
+
+const median = (values) => [...values].sort((a, b) => a - b)[Math.floor(values.length / 2)];
+
+const indexText = readText('schedule/index.json');
+const index = JSON.parse(indexText);
+const routeTexts = Object.fromEntries(getRouteFiles(index).map(({ routeId, file }) => [routeId, readText(file)]));
+
+// Rebuild the legacy payload from the compact one so the comparison needs no old files
+const decodeAll = () => {
+    const routeFiles = Object.fromEntries(Object.entries(routeTexts).map(([routeId, text]) => [routeId, JSON.parse(text)]));
+    const schedule = decodeSchedule(JSON.parse(indexText), routeFiles);
+    Object.values(schedule).forEach(trips => trips.forEach(trip => trip.stops));
+    return schedule;
+};
+const legacyText = JSON.stringify(decodeAll());
+
+const compactTexts = [indexText, ...Object.values(routeTexts)];
+const sizes = {
+    legacy: { raw: Buffer.byteLength(legacyText), gzip: zlib.gzipSync(legacyText).length },
+    compact: compactTexts.reduce((sum, text) => ({
+        raw: sum.raw + Buffer.byteLength(text),
+        gzip: sum.gzip + zlib.gzipSync(text).length
+    }), { raw: 0, gzip: 0 })
+};
+
+const decode = {
+    legacy: time(() => JSON.parse(legacyText)),
+    compact: time(decodeAll)
+};
+
+// Helper: Serve the feed's files gzipped, throttled to `profile`. One link for all requests, so
+// parallel downloads share the bandwidth as they do on a real connection.
+function startServer(profile) {
+    const files = { ...Object.fromEntries(fs.readdirSync(DATA_DIR, { recursive: true })
+        .filter(file => file.endsWith('.json'))
+        .map(file => [file.split(path.sep).join('/'), readText(file)])), [LEGACY_FILE]: legacyText };
+    const gzipped = Object.fromEntries(Object.entries(files).map(([file, text]) => [file, zlib.gzipSync(text)]));
+    let linkFreeAt = 0;
+
+    const server = http.createServer((req, res) => {
+        const body = gzipped[decodeURIComponent(req.url.slice(1))];
+        if (!body) {
+            res.writeHead(404).end();
+            return;
+        }
+        setTimeout(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+            const send = (offset) => {
+                if (offset >= body.length) {
+                    res.end();
+                    return;
+                }
+                const chunk = body.subarray(offset, offset + CHUNK);
+                linkFreeAt = Math.max(linkFreeAt, performance.now()) + chunk.length * 8 / profile.kbps;
+                setTimeout(() => {
+                    res.write(chunk);
+                    send(offset + CHUNK);
+                }, linkFreeAt - performance.now());
+            };
+            send(0);
+        }, profile.latency);
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const fetchJSON = (base) => (file) => fetch(`${base}/${file}`).then(r => {
+    if (!r.ok) throw new Error(`Failed to load ${file}: ${r.status}`);
+    return r.json();
+});
+
+// Helper: What the app does from the first fetch until a bus can be drawn, in ms
+async function timeToFirstBus(base, serviceDate, seconds) {
+    const start = performance.now();
+    const data = await loadData(feed.id, fetchJSON(base));
+    const handle = createSimulationHandler();
+    const { compactSchedule, stops, shapes, calendar, blocks } = data;
+    // Structured clone as postMessage would, to pay the same copy as the worker handoff
+    handle({ type: 'init', data: structuredClone({ compactSchedule, stops, shapes, calendar, blocks }) });
+    const { trips } = handle({ type: 'tick', serviceDate, seconds, tripUpdates: {} });
+    if (trips.length === 0) throw new Error('No bus on the map at the benchmark time');
+    return performance.now() - start;
+}
+
+// Helper: Download and parse just the schedule, legacy or compact, in ms
+async function timeSchedule(base, legacy) {
+    const start = performance.now();
+    const read = fetchJSON(base);
+    if (legacy) {
+        await read(LEGACY_FILE);
+    } else {
+        const scheduleIndex = await read('schedule/index.json');
+        await Promise.all(getRouteFiles(scheduleIndex).map(({ file }) => read(file)));
+    }
+    return performance.now() - start;
+}
+
+// Helper: A morning moment with buses running, within the next week of service
+async function findBusyMoment() {
+    const data = await loadData(feed.id, async (file) => JSON.parse(readText(file)));
+    const handle = createSimulationHandler();
+    handle({ type: 'init', data });
+    const today = getZonedTime(new Date(), data.timezone).serviceDate;
+    const seconds = 9 * 3600;
+    for (let days = 0; days < 7; days++) {
+        const serviceDate = addDays(today, days);
+        if (handle({ type: 'tick', serviceDate, seconds, tripUpdates: {} }).trips.length > 0) return { serviceDate, seconds };
+    }
+    throw new Error('No service at 09:00 in the next week');
+}
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+const ms = (value) => `${Math.round(value)} ms`.padStart(8);
+
+async function benchmark() {
+    console.log('Payload           raw         gzip');
+    console.log(`legacy       ${kb(sizes.legacy.raw).padStart(10)}  ${kb(sizes.legacy.gzip).padStart(10)}`);
+    console.log(`compact      ${kb(sizes.compact.raw).padStart(10)}  ${kb(sizes.compact.gzip).padStart(10)}  (${compactTexts.length} files)`);
+    console.log('');
+    console.log(`Parse/decode: legacy ${decode.legacy.toFixed(2)} ms, compact ${decode.compact.toFixed(2)} ms`);
+    console.log('');
+
+    const { serviceDate, seconds } = await findBusyMoment();
+    console.log(`Measured over a throttled local server, median of ${RUNS} runs (first bus at ${serviceDate} 09:00):`);
+    console.log('                  time to first bus   legacy schedule   compact schedule');
+    for (const profile of PROFILES) {
+        const server = await startServer(profile);
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const results = { firstBus: [], legacy: [], compact: [] };
+        try {
+            for (let run = 0; run < RUNS; run++) {
+                results.firstBus.push(await timeToFirstBus(base, serviceDate, seconds));
+                results.legacy.push(await timeSchedule(base, true));
+                results.compact.push(await timeSchedule(base, false));
+            }
+        } finally {
+            server.closeAllConnections();
+            server.close();
+        }
+        console.log(`  ${profile.name.padEnd(14)} ${ms(median(results.firstBus)).padStart(18)}  ${ms(median(results.legacy)).padStart(16)}  ${ms(median(results.compact)).padStart(17)}`);
+    }
+}
+
+benchmark().catch(error => {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,285 @@
+// Change log between two processed feeds
+// Compares the processor's outputs (routes.json, stops.json, the compact schedule, calendar.json) rather
+// than the raw GTFS tables, so a fresh run can be checked against public/data or any two snapshots
+// compared after the fact. Trips are matched by trip_id, stops by stop_id and services by service_id.
+
+import { decodeSchedule, getRouteFiles } from '../src/utils/scheduleFormat.js';
+import { haversineDistance, timeToSeconds } from '../src/utils/gtfs.js';
+
+// Stops that shift less than this are GPS noise between releases, not a relocation
+const MOVED_THRESHOLD = 25; // metres
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const COUNT_LABELS = { serviceChanged: 'moved to another service' };
+
+// Helper: The parts of a processed feed the diff looks at, read through `readJSON(file)`.
+// Returns null when there's no processed feed to read (first run, or data from before the compact schedule).
+export function readProcessedFeed(readJSON) {
+    let scheduleIndex;
+    try {
+        scheduleIndex = readJSON('schedule/index.json');
+    } catch {
+        return null;
+    }
+    if (!scheduleIndex) return null;
+
+    const routeFiles = {};
+    getRouteFiles(scheduleIndex).forEach(({ routeId, file }) => {
+        routeFiles[routeId] = readJSON(file);
+    });
+    let version = null;
+    try {
+        version = readJSON('version.json');
+    } catch {
+        // Data processed before version.json existed
+    }
+
+    return {
+        version,
+        routes: readJSON('routes.json'),
+        stops: readJSON('stops.json'),
+        calendar: readJSON('calendar.json'),
+        schedule: decodeSchedule(scheduleIndex, routeFiles)
+    };
+}
+
+// Helper: Keys present only in `next`, only in `previous`, and in both
+function compareKeys(previous, next) {
+    return {
+        added: Object.keys(next).filter(key => !(key in previous)),
+        removed: Object.keys(previous).filter(key => !(key in next)),
+        common: Object.keys(next).filter(key => key in previous)
+    };
+}
+
+function diffRoutes(previous, next) {
+    const before = Object.fromEntries(previous.map(route => [route.id, route]));
+    const after = Object.fromEntries(next.map(route => [route.id, route]));
+    const { added, removed, common } = compareKeys(before, after);
+    const describe = (route) => ({ routeId: route.id, shortName: route.shortName, longName: route.longName });
+
+    return {
+        added: added.map(id => describe(after[id])),
+        removed: removed.map(id => describe(before[id])),
+        renamed: common
+            .filter(id => before[id].shortName !== after[id].shortName || before[id].longName !== after[id].longName)
+            .map(id => ({ routeId: id, from: describe(before[id]), to: describe(after[id]) }))
+    };
+}
+
+function diffStops(previous, next) {
+    const { added, removed, common } = compareKeys(previous, next);
+    const moved = [];
+    const renamed = [];
+
+    common.forEach(stopId => {
+        const a = previous[stopId];
+        const b = next[stopId];
+        if (a.name !== b.name) renamed.push({ stopId, from: a.name, to: b.name });
+        const distance = haversineDistance([a.lat, a.lon], [b.lat, b.lon]);
+        if (distance >= MOVED_THRESHOLD) moved.push({ stopId, name: b.name, distance: Math.round(distance) });
+    });
+
+    return {
+        added: added.map(stopId => ({ stopId, name: next[stopId].name })),
+        removed: removed.map(stopId => ({ stopId, name: previous[stopId].name })),
+        renamed,
+        moved: moved.sort((a, b) => b.distance - a.distance)
+    };
+}
+
+// Helper: { tripId: { routeId, trip } } across every route
+function indexTrips(schedule) {
+    const trips = {};
+    Object.entries(schedule).forEach(([routeId, routeTrips]) => {
+        routeTrips.forEach(trip => { trips[trip.tripId] = { routeId, trip }; });
+    });
+    return trips;
+}
+
+function diffTrips(previous, next) {
+    const before = indexTrips(previous);
+    const after = indexTrips(next);
+    const { added, removed, common } = compareKeys(before, after);
+    const retimed = [];
+    const rerouted = [];
+    const moved = [];
+    const serviceChanged = [];
+
+    common.forEach(tripId => {
+        const { routeId, trip } = after[tripId];
+        const old = before[tripId].trip;
+
+        if (before[tripId].routeId !== routeId) moved.push({ tripId, from: before[tripId].routeId, to: routeId });
+        if (old.serviceId !== trip.serviceId) serviceChanged.push({ tripId, routeId, from: old.serviceId, to: trip.serviceId });
+
+        const oldStops = old.stops.map(s => s.stopId);
+        const newStops = trip.stops.map(s => s.stopId);
+        if (oldStops.join() !== newStops.join()) {
+            rerouted.push({
+                tripId,
+                routeId,
+                stopsAdded: newStops.filter(stopId => !oldStops.includes(stopId)),
+                stopsRemoved: oldStops.filter(stopId => !newStops.includes(stopId))
+            });
+            return;
+        }
+
+        const stopsRetimed = trip.stops.filter((stop, i) =>
+            stop.arrival !== old.stops[i].arrival || stop.departure !== old.stops[i].departure
+        ).length;
+        if (stopsRetimed > 0) {
+            retimed.push({
+                tripId,
+                routeId,
+                from: old.stops[0].departure,
+                to: trip.stops[0].departure,
+                shift: timeToSeconds(trip.stops[0].departure) - timeToSeconds(old.stops[0].departure),
+                stopsRetimed
+            });
+        }
+    });
+
+    // Trip counts per route, so a route that lost half its service stands out
+    const counts = {};
+    const count = (trips, key) => Object.values(trips).forEach(({ routeId }) => {
+        if (!counts[routeId]) counts[routeId] = { before: 0, after: 0 };
+        counts[routeId][key]++;
+    });
+    count(before, 'before');
+    count(after, 'after');
+
+    return {
+        added: added.map(tripId => ({ tripId, routeId: after[tripId].routeId, start: after[tripId].trip.stops[0]?.departure })),
+        removed: removed.map(tripId => ({ tripId, routeId: before[tripId].routeId, start: before[tripId].trip.stops[0]?.departure })),
+        retimed,
+        rerouted,
+        moved,
+        serviceChanged,
+        perRoute: Object.fromEntries(Object.entries(counts).filter(([, c]) => c.before !== c.after))
+    };
+}
+
+function diffCalendar(previous, next) {
+    const { added, removed, common } = compareKeys(previous, next);
+    const changed = [];
+
+    common.forEach(serviceId => {
+        const a = previous[serviceId];
+        const b = next[serviceId];
+        const change = { serviceId };
+
+        const daysBefore = WEEKDAYS.filter(day => a[day]);
+        const daysAfter = WEEKDAYS.filter(day => b[day]);
+        if (daysBefore.join() !== daysAfter.join()) change.days = { from: daysBefore, to: daysAfter };
+        if (a.startDate !== b.startDate) change.startDate = { from: a.startDate, to: b.startDate };
+        if (a.endDate !== b.endDate) change.endDate = { from: a.endDate, to: b.endDate };
+
+        ['added', 'removed'].forEach(type => {
+            const datesBefore = a[type] || [];
+            const datesAfter = b[type] || [];
+            const gained = datesAfter.filter(date => !datesBefore.includes(date));
+            const lost = datesBefore.filter(date => !datesAfter.includes(date));
+            if (gained.length > 0 || lost.length > 0) change[`${type}Dates`] = { gained, lost };
+        });
+
+        if (Object.keys(change).length > 1) changed.push(change);
+    });
+
+    return { added, removed, changed };
+}
+
+// Helper: Everything that changed from `previous` to `next` (both from readProcessedFeed)
+export function diffFeeds(previous, next) {
+    const diff = {
+        from: previous.version?.version || null,
+        to: next.version?.version || null,
+        routes: diffRoutes(previous.routes, next.routes),
+        stops: diffStops(previous.stops, next.stops),
+        trips: diffTrips(previous.schedule, next.schedule),
+        calendar: diffCalendar(previous.calendar, next.calendar)
+    };
+    diff.summary = {
+        routes: { added: diff.routes.added.length, removed: diff.routes.removed.length, renamed: diff.routes.renamed.length },
+        stops: { added: diff.stops.added.length, removed: diff.stops.removed.length, renamed: diff.stops.renamed.length, moved: diff.stops.moved.length },
+        trips: {
+            added: diff.trips.added.length,
+            removed: diff.trips.removed.length,
+            retimed: diff.trips.retimed.length,
+            rerouted: diff.trips.rerouted.length + diff.trips.moved.length,
+            serviceChanged: diff.trips.serviceChanged.length
+        },
+        calendar: { added: diff.calendar.added.length, removed: diff.calendar.removed.length, changed: diff.calendar.changed.length }
+    };
+    return diff;
+}
+
+export function hasChanges(diff) {
+    return Object.values(diff.summary).some(section => Object.values(section).some(n => n > 0));
+}
+
+// Helper: "+5 min" / "-2 min 30 s"
+function formatShift(seconds) {
+    const sign = seconds < 0 ? '-' : '+';
+    const abs = Math.abs(seconds);
+    const mins = Math.floor(abs / 60);
+    const secs = abs % 60;
+    return `${sign}${mins} min${secs ? ` ${secs} s` : ''}`;
+}
+
+const formatDays = (days) => days.length === 0 ? 'no weekdays' : days.map(day => day.slice(0, 3)).join(' ');
+
+// Helper: Human-readable change log. `limit` caps the entries listed per section (counts are always complete),
+// `routeNames` maps route ids to the names people know them by.
+export function formatChangeLog(diff, { limit = Infinity, routeNames = {} } = {}) {
+    const lines = [];
+    const route = (routeId) => routeNames[routeId] ? `${routeNames[routeId]} (${routeId})` : routeId;
+    const list = (items, format) => {
+        items.slice(0, limit).forEach(item => lines.push(`  ${format(item)}`));
+        if (items.length > limit) lines.push(`  … and ${items.length - limit} more`);
+    };
+    const counts = (section) => Object.entries(section).map(([key, n]) => `${n} ${COUNT_LABELS[key] || key}`).join(', ');
+
+    lines.push(diff.from ? `Changes since ${diff.from}:` : 'Changes since the previous feed:');
+    if (!hasChanges(diff)) {
+        lines.push('  No changes to routes, stops, trips or service calendars.');
+        return lines.join('\n');
+    }
+
+    const { summary } = diff;
+    lines.push(`Routes: ${counts(summary.routes)}`);
+    list(diff.routes.added, r => `+ ${r.shortName} ${r.longName} (${r.routeId})`);
+    list(diff.routes.removed, r => `- ${r.shortName} ${r.longName} (${r.routeId})`);
+    list(diff.routes.renamed, r => `~ ${r.routeId}: "${r.from.shortName} ${r.from.longName}" → "${r.to.shortName} ${r.to.longName}"`);
+
+    lines.push(`Stops: ${counts(summary.stops)}`);
+    list(diff.stops.added, s => `+ ${s.name} (${s.stopId})`);
+    list(diff.stops.removed, s => `- ${s.name} (${s.stopId})`);
+    list(diff.stops.renamed, s => `~ ${s.stopId}: "${s.from}" → "${s.to}"`);
+    list(diff.stops.moved, s => `~ ${s.name} (${s.stopId}) moved ${s.distance} m`);
+
+    lines.push(`Trips: ${counts(summary.trips)}`);
+    list(Object.entries(diff.trips.perRoute), ([routeId, c]) => `${route(routeId)}: ${c.before} → ${c.after} trips`);
+    list(diff.trips.added, t => `+ ${t.tripId} on ${route(t.routeId)} from ${t.start}`);
+    list(diff.trips.removed, t => `- ${t.tripId} on ${route(t.routeId)} from ${t.start}`);
+    list(diff.trips.retimed, t => t.shift !== 0
+        ? `~ ${t.tripId} on ${route(t.routeId)} starts ${t.from} → ${t.to} (${formatShift(t.shift)}), ${t.stopsRetimed} stop time(s) changed`
+        : `~ ${t.tripId} on ${route(t.routeId)} same start ${t.from}, ${t.stopsRetimed} stop time(s) changed`);
+    list(diff.trips.rerouted, t => `~ ${t.tripId} on ${route(t.routeId)} stop pattern changed: +${t.stopsAdded.length} / -${t.stopsRemoved.length} stop(s)`);
+    list(diff.trips.moved, t => `~ ${t.tripId} moved from route ${route(t.from)} to ${route(t.to)}`);
+    list(diff.trips.serviceChanged, t => `~ ${t.tripId} on ${route(t.routeId)} service ${t.from} → ${t.to}`);
+
+    lines.push(`Service calendar: ${counts(summary.calendar)}`);
+    list(diff.calendar.added, serviceId => `+ ${serviceId}`);
+    list(diff.calendar.removed, serviceId => `- ${serviceId}`);
+    list(diff.calendar.changed, change => {
+        const parts = [];
+        if (change.days) parts.push(`runs ${formatDays(change.days.from)} → ${formatDays(change.days.to)}`);
+        if (change.startDate) parts.push(`starts ${change.startDate.from} → ${change.startDate.to}`);
+        if (change.endDate) parts.push(`ends ${change.endDate.from} → ${change.endDate.to}`);
+        if (change.addedDates) parts.push(`extra service days +${change.addedDates.gained.length} / -${change.addedDates.lost.length}`);
+        if (change.removedDates) parts.push(`days without service +${change.removedDates.gained.length} / -${change.removedDates.lost.length}`);
+        return `~ ${change.serviceId}: ${parts.join('; ')}`;
+    });
+
+    return lines.join('\n');
+}
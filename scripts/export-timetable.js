@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { loadData, getZonedTime } from '../src/utils/gtfs.js';
+import { buildStopTimetable, buildRouteTimetable, renderTimetableHTML, buildStopICS } from '../src/utils/timetable.js';
+import { loadFeedConfig, findFeed, feedDataDir } from './feed-config.js';
+
+// Usage:
+//   node scripts/export-timetable.js --stop <stop_id>                       printable stop timetable (HTML)
+//   node scripts/export-timetable.js --route <route_id>                     printable route timetable (HTML)
+//   node scripts/export-timetable.js --stop <stop_id> --route <route_id> --format ics
+//                                                                           calendar of the route's departures from the stop
+// Options:
+//   --feed <id>         feed the ids belong to (default the default feed in scripts/feeds.json)
+//   --out <file>        output file (default timetable-<id>.html / .ics in the current directory)
+//   --from <YYYYMMDD>   first service day in the .ics (default today in the feed's timezone)
+//   --days <n>          number of service days in the .ics (default 7)
+// Open the HTML in a browser and print it to get a PDF.
+
+const { values: args } = parseArgs({
+    options: {
+        feed: { type: 'string' },
+        stop: { type: 'string', short: 's' },
+        route: { type: 'string', short: 'r' },
+        format: { type: 'string', short: 'f', default: 'html' },
+        out: { type: 'string', short: 'o' },
+        from: { type: 'string' },
+        days: { type: 'string', default: '7' }
+    }
+});
+
+async function exportTimetable() {
+    try {
+        if (!args.stop && !args.route) throw new Error('Pass --stop <stop_id> and/or --route <route_id>');
+        if (!['html', 'ics'].includes(args.format)) throw new Error(`Unknown format "${args.format}" (use html or ics)`);
+
+        const feed = findFeed(loadFeedConfig(), args.feed);
+        const dataDir = feedDataDir(feed.id);
+        const data = await loadData(feed.id, async (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')));
+        if (args.stop && !data.stops[args.stop]) throw new Error(`Unknown stop_id "${args.stop}"`);
+        if (args.route && !data.schedule[args.route]) throw new Error(`Unknown route_id "${args.route}"`);
+
+        let content;
+        let defaultName;
+        if (args.format === 'ics') {
+            if (!args.stop || !args.route) throw new Error('The ics format needs both --stop and --route');
+            const fromDate = args.from || getZonedTime(new Date(), data.timezone).serviceDate;
+            if (!/^\d{8}$/.test(fromDate)) throw new Error(`--from must be YYYYMMDD, got "${fromDate}"`);
+            content = buildStopICS(args.stop, args.route, data, { fromDate, days: Number(args.days) });
+            defaultName = `timetable-${args.route}-${args.stop}.ics`;
+        } else if (args.stop) {
+            content = renderTimetableHTML(buildStopTimetable(args.stop, data), data);
+            defaultName = `timetable-stop-${args.stop}.html`;
+        } else {
+            content = renderTimetableHTML(buildRouteTimetable(args.route, data), data);
+            defaultName = `timetable-route-${args.route}.html`;
+        }
+
+        const outFile = path.resolve(args.out || defaultName);
+        fs.writeFileSync(outFile, content);
+        console.log(`Timetable written to ${outFile}`);
+    } catch (error) {
+        console.error('Error exporting timetable:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+exportTimetable();
@@ -0,0 +1,60 @@
+// Configured feeds (scripts/feeds.json) and where their processed data lives
+// Each feed is processed into public/data/<id>/ (same layout for every feed), and public/data/feeds.json
+// lists the processed ones for the app's city switcher:
+//   { default, feeds: [{ id, name, bounds: [[south, west], [north, east]], version, center?: [lat, lon], zoom? }] }
+// center and zoom are only there when the feed configures a centre, the map fits the bounds otherwise.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_ROOT = path.join(__dirname, '../public/data');
+const CONFIG_FILE = path.join(__dirname, 'feeds.json');
+const INDEX_FILE = path.join(DATA_ROOT, 'feeds.json');
+
+// Feed ids become directory names and URL parameters
+const FEED_ID = /^[a-z0-9][a-z0-9-]*$/;
+
+// Helper: The feed list, with its holiday and fare table paths resolved against the config file
+export function loadFeedConfig(configFile = CONFIG_FILE) {
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const resolve = (file) => (file ? path.resolve(path.dirname(configFile), file) : null);
+    const seen = new Set();
+
+    const feeds = (config.feeds || []).map(feed => {
+        if (!FEED_ID.test(feed.id || '')) throw new Error(`Feed id "${feed.id}" in ${configFile} must be lowercase letters, digits and dashes`);
+        if (seen.has(feed.id)) throw new Error(`Feed "${feed.id}" is configured twice in ${configFile}`);
+        seen.add(feed.id);
+        return { ...feed, name: feed.name || feed.id, holidays: resolve(feed.holidays), fares: resolve(feed.fares) };
+    });
+    if (feeds.length === 0) throw new Error(`No feeds configured in ${configFile}`);
+
+    return { default: seen.has(config.default) ? config.default : feeds[0].id, feeds };
+}
+
+// Helper: The configured feed with this id (the default feed when no id is given)
+export function findFeed(config, id = config.default) {
+    const feed = config.feeds.find(f => f.id === id);
+    if (!feed) throw new Error(`Unknown feed "${id}" (configured: ${config.feeds.map(f => f.id).join(', ')})`);
+    return feed;
+}
+
+export const feedDataDir = (id) => path.join(DATA_ROOT, id);
+
+// Helper: Add freshly processed feeds ([{ id, name, bounds, version, center?, zoom? }]) to public/data/feeds.json.
+// Feeds processed earlier keep their entry as long as they're still configured and their data is there.
+export function writeFeedIndex(config, entries) {
+    const previous = fs.existsSync(INDEX_FILE) ? JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8')).feeds : [];
+    const byId = Object.fromEntries([...previous, ...entries].map(entry => [entry.id, entry]));
+
+    const feeds = config.feeds
+        .map(feed => byId[feed.id])
+        .filter(entry => entry && fs.existsSync(path.join(feedDataDir(entry.id), 'version.json')));
+    const index = {
+        default: feeds.some(entry => entry.id === config.default) ? config.default : feeds[0]?.id ?? null,
+        feeds
+    };
+    fs.writeFileSync(INDEX_FILE, JSON.stringify(index));
+    return index;
+}
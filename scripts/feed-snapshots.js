@@ -0,0 +1,103 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { readProcessedFeed, diffFeeds, formatChangeLog } from './diff-gtfs.js';
+import { jsonReader, writeDataFiles, listSnapshots, findSnapshot, readSnapshotFiles, readSnapshotFeed } from './snapshot-store.js';
+import { loadFeedConfig, findFeed, feedDataDir } from './feed-config.js';
+
+// Usage:
+//   node scripts/feed-snapshots.js list                    processed feed releases, oldest first
+//   node scripts/feed-snapshots.js diff <from> [<to>]      change log between two snapshots (default <to>: public/data/<feed id>)
+//   node scripts/feed-snapshots.js rollback <version>      put a snapshot back into public/data/<feed id>
+// Snapshots are referred to by version hash (a unique prefix is enough) or directory name.
+// Options:
+//   --feed <id>        which feed's snapshots (default the default feed in scripts/feeds.json)
+//   --snapshots <dir>  where the processor keeps snapshots (default snapshots/, one directory per feed)
+//   --limit <n>        entries listed per section of a change log (default all)
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SNAPSHOTS = path.join(__dirname, '../snapshots');
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        feed: { type: 'string', short: 'f' },
+        snapshots: { type: 'string', default: DEFAULT_SNAPSHOTS },
+        limit: { type: 'string' }
+    }
+});
+
+// Helper: One line per section, e.g. "routes 1 added, 0 removed"
+function formatSummary(summary) {
+    if (!summary) return 'first snapshot';
+    return Object.entries(summary)
+        .map(([section, counts]) => {
+            const nonZero = Object.entries(counts).filter(([, n]) => n > 0);
+            return nonZero.length > 0 ? `${section} ${nonZero.map(([key, n]) => `${n} ${key}`).join(', ')}` : null;
+        })
+        .filter(Boolean)
+        .join('; ') || 'no changes';
+}
+
+function currentFeed(dataDir, dataLabel) {
+    const feed = readProcessedFeed(jsonReader(dataDir));
+    if (!feed) throw new Error(`${dataLabel} has no processed feed, run npm run process-gtfs first`);
+    return feed;
+}
+
+// Helper: Version in the feed's data directory, null if it's missing or unreadable (which is when a rollback is most needed)
+function currentVersion(dataDir) {
+    try {
+        return readProcessedFeed(jsonReader(dataDir))?.version?.version ?? null;
+    } catch {
+        return null;
+    }
+}
+
+function run() {
+    try {
+        const [command, ...refs] = positionals;
+        const feed = findFeed(loadFeedConfig(), args.feed);
+        const dataDir = feedDataDir(feed.id);
+        const dataLabel = `public/data/${feed.id}`;
+        const snapshotsDir = path.join(args.snapshots, feed.id);
+        const current = currentVersion(dataDir);
+
+        if (command === 'list') {
+            const snapshots = listSnapshots(snapshotsDir);
+            if (snapshots.length === 0) {
+                console.log(`No snapshots in ${snapshotsDir} yet, the processor writes one whenever the data changes.`);
+                return;
+            }
+            snapshots.forEach(s => {
+                const marker = s.version === current ? '*' : ' ';
+                console.log(`${marker} ${s.version}  ${s.generatedAt}  ${formatSummary(s.summary)}`);
+            });
+            console.log(`(* = in ${dataLabel})`);
+        } else if (command === 'diff') {
+            if (refs.length === 0) throw new Error('diff needs a snapshot to compare from');
+            const from = readSnapshotFeed(findSnapshot(snapshotsDir, refs[0]));
+            const to = refs[1] ? readSnapshotFeed(findSnapshot(snapshotsDir, refs[1])) : currentFeed(dataDir, dataLabel);
+            const limit = args.limit ? Number(args.limit) : Infinity;
+            const routeNames = Object.fromEntries(to.routes.map(route => [route.id, route.shortName]));
+            console.log(formatChangeLog(diffFeeds(from, to), { limit, routeNames }));
+        } else if (command === 'rollback') {
+            if (refs.length !== 1) throw new Error('rollback needs exactly one snapshot');
+            const snapshot = findSnapshot(snapshotsDir, refs[0]);
+            if (snapshot.version === current) {
+                console.log(`${dataLabel} already holds ${snapshot.version}, nothing to do.`);
+                return;
+            }
+            writeDataFiles(dataDir, readSnapshotFiles(snapshot));
+            console.log(`Rolled ${dataLabel} back to ${snapshot.version} (processed ${snapshot.generatedAt}).`);
+            console.log('Open clients pick it up through the data update banner, as with any other release.');
+        } else {
+            throw new Error(`Unknown command "${command ?? ''}" (use list, diff or rollback)`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+run();
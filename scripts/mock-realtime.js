@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+import { parseArgs } from 'util';
+import { loadData, getZonedTime } from '../src/utils/gtfs.js';
+import { buildSimulation, getActiveTrips } from '../src/utils/simulation.js';
+import { loadFeedConfig, findFeed, feedDataDir } from './feed-config.js';
+
+// Serves a GTFS-Realtime feed derived from the processed schedule, with random delays,
+// so the realtime layer can be exercised without access to a live AVL system.
+//
+//   node scripts/mock-realtime.js [--feed <id>]     (default the default feed in scripts/feeds.json)
+//   VITE_GTFS_RT_URLS=http://localhost:8787/vehicle-positions,http://localhost:8787/trip-updates npm run dev
+
+const { transit_realtime } = GtfsRealtimeBindings;
+const PORT = Number(process.env.PORT) || 8787;
+const MAX_DELAY = 300; // seconds
+
+const { values: args } = parseArgs({ options: { feed: { type: 'string', short: 'f' } } });
+const feed = findFeed(loadFeedConfig(), args.feed);
+const dataDir = feedDataDir(feed.id);
+const data = await loadData(
+    feed.id,
+    async (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'))
+);
+const simulation = buildSimulation(data);
+const tripsById = Object.fromEntries(Object.values(data.schedule).flat().map(trip => [trip.tripId, trip]));
+
+// Stable per-trip delay so buses don't jitter between polls
+const tripDelays = {};
+function getDelay(tripId) {
+    if (tripDelays[tripId] === undefined) {
+        tripDelays[tripId] = Math.random() < 0.5 ? 0 : Math.round(Math.random() * MAX_DELAY);
+    }
+    return tripDelays[tripId];
+}
+
+function buildEntities() {
+    const now = new Date();
+    const timestamp = Math.floor(now.getTime() / 1000);
+    const vehicles = [];
+    const updates = [];
+
+    // Every trip runs with its own delay, so ask the engine for positions with those delays applied
+    const tripUpdates = Object.fromEntries(simulation.trips.map(trip => [trip.tripId, { delay: getDelay(trip.tripId) }]));
+    const { serviceDate, seconds } = getZonedTime(now, data.timezone);
+
+    getActiveTrips(simulation, serviceDate, seconds, tripUpdates).forEach(active => {
+        const { tripId, routeId, delay, bearing, position: [latitude, longitude] } = active;
+        const nextStop = tripsById[tripId].stops[active.stopIndex + 1] || tripsById[tripId].stops[active.stopIndex];
+        const tripDescriptor = { tripId, routeId };
+
+        vehicles.push({
+            id: `vp-${tripId}`,
+            vehicle: {
+                trip: tripDescriptor,
+                vehicle: { id: `BUS-${tripId}`, label: active.headsign },
+                position: { latitude, longitude, bearing },
+                timestamp
+            }
+        });
+        updates.push({
+            id: `tu-${tripId}`,
+            tripUpdate: {
+                trip: tripDescriptor,
+                delay,
+                stopTimeUpdate: [{
+                    stopSequence: nextStop.seq,
+                    stopId: nextStop.stopId,
+                    arrival: { delay }
+                }],
+                timestamp
+            }
+        });
+    });
+
+    return { timestamp, vehicles, updates };
+}
+
+function encodeFeed(timestamp, entity) {
+    const message = transit_realtime.FeedMessage.fromObject({
+        header: { gtfsRealtimeVersion: '2.0', incrementality: 'FULL_DATASET', timestamp },
+        entity
+    });
+    return transit_realtime.FeedMessage.encode(message).finish();
+}
+
+const server = http.createServer((req, res) => {
+    const { timestamp, vehicles, updates } = buildEntities();
+    let entities;
+
+    if (req.url.startsWith('/vehicle-positions')) entities = vehicles;
+    else if (req.url.startsWith('/trip-updates')) entities = updates;
+    else if (req.url.startsWith('/feed')) entities = [...vehicles, ...updates];
+
+    if (!entities) {
+        res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+        res.end('Not found');
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'application/x-protobuf',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(Buffer.from(encodeFeed(timestamp, entities)));
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock GTFS-Realtime server on http://localhost:${PORT}`);
+    console.log('  /vehicle-positions  /trip-updates  /feed');
+});
@@ -1,17 +1,62 @@
 import fs from 'fs';
+import crypto from 'crypto';
+import os from 'os';
 import path from 'path';
 import https from 'https';
+import zlib from 'zlib';
 import AdmZip from 'adm-zip';
 import csv from 'csv-parser';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
+import { validateFeed, hasCoordinates } from './validate-gtfs.js';
+import { readProcessedFeed, diffFeeds, formatChangeLog } from './diff-gtfs.js';
+import { jsonReader, readDataFiles, writeDataFiles, writeSnapshot, listSnapshots } from './snapshot-store.js';
+import { loadFeedConfig, findFeed, feedDataDir, writeFeedIndex } from './feed-config.js';
+import { encodeSchedule } from '../src/utils/scheduleFormat.js';
+import { inferBlocks } from '../src/utils/blocks.js';
+import { timeToSeconds, haversineDistance } from '../src/utils/gtfs.js';
+
+// Usage:
+//   node scripts/process-gtfs.js                          download every feed in scripts/feeds.json
+//   node scripts/process-gtfs.js --feed ipoh              download one feed (repeat --feed for several)
+//   node scripts/process-gtfs.js --input feed.zip         process a local zip as the default feed
+//   node scripts/process-gtfs.js --input ./gtfs_dir       process an already extracted feed
+// Each feed is written to public/data/<feed id>/ and listed in public/data/feeds.json (see feed-config.js).
+// Options:
+//   --feed <id>       feed(s) to process (default all configured, or the default feed with --input)
+//   --report <file>   where to write the validation report (default temp_gtfs/<feed id>/validation-report.json)
+//   --validate-only   check the feed without touching public/data
+//   --holidays <file> local public holiday list mapped onto services (default the feed's, see scripts/feeds.json)
+//   --fares <file>    local fare table for feeds without fare files (default the feed's)
+//   --split-routes    write each route's trips to its own schedule/<route_id>.json
+//   --snapshots <dir> where to keep versioned snapshots of the output, per feed (default snapshots/)
+//   --no-snapshot     don't keep a snapshot of this run
+// --input, --report, --holidays and --fares apply to a single feed.
+// Each run prints what changed since the data it replaces; see scripts/feed-snapshots.js to list,
+// compare and roll back snapshots.
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const GTFS_URL = 'https://api.data.gov.my/gtfs-static/mybas-kota-bharu';
-const DATA_DIR = path.join(__dirname, '../public/data');
 const TEMP_DIR = path.join(__dirname, '../temp_gtfs');
+const DEFAULT_SNAPSHOTS = path.join(__dirname, '../snapshots');
+const DEFAULT_TIMEZONE = 'Asia/Kuala_Lumpur';
+const DEFAULT_MAP_ZOOM = 13; // for feeds that configure a map centre
+const CHANGE_LOG_LIMIT = 15; // entries per section printed to the console, the snapshot keeps them all
+
+const { values: args } = parseArgs({
+    options: {
+        feed: { type: 'string', short: 'f', multiple: true },
+        input: { type: 'string', short: 'i' },
+        report: { type: 'string', short: 'r' },
+        holidays: { type: 'string' },
+        fares: { type: 'string' },
+        snapshots: { type: 'string', default: DEFAULT_SNAPSHOTS },
+        'no-snapshot': { type: 'boolean', default: false },
+        'split-routes': { type: 'boolean', default: false },
+        'validate-only': { type: 'boolean', default: false }
+    }
+});
 
 // Ensure directories exist
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
 if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
 
 async function downloadFile(url, dest) {
@@ -52,42 +97,352 @@ function parseCSV(filePath) {
     return new Promise((resolve, reject) => {
         const results = [];
         fs.createReadStream(filePath)
-            .pipe(csv())
+            // Some exports carry a UTF-8 BOM or stray whitespace in the header row
+            .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }))
             .on('data', (data) => results.push(data))
             .on('end', () => resolve(results))
             .on('error', (err) => reject(err));
     });
 }
 
-async function processGTFS() {
-    try {
-        console.log('Downloading GTFS data...');
-        const zipPath = path.join(TEMP_DIR, 'gtfs.zip');
-        await downloadFile(GTFS_URL, zipPath);
+// Resolve the feed source to a directory of .txt files (downloads go to temp_gtfs/<feed id>/)
+async function prepareFeedDir(feed, input) {
+    if (!input) {
+        console.log(`Downloading GTFS data from ${feed.url}...`);
+        const downloadDir = path.join(TEMP_DIR, feed.id);
+        fs.mkdirSync(downloadDir, { recursive: true });
+        const zipPath = path.join(downloadDir, 'gtfs.zip');
+        await downloadFile(feed.url, zipPath);
 
         console.log('Extracting zip...');
         const zip = new AdmZip(zipPath);
-        zip.extractAllTo(TEMP_DIR, true);
+        zip.extractAllTo(downloadDir, true);
+        return downloadDir;
+    }
+
+    const inputPath = path.resolve(input);
+    if (!fs.existsSync(inputPath)) throw new Error(`Input not found: ${inputPath}`);
+
+    if (fs.statSync(inputPath).isDirectory()) {
+        console.log(`Using extracted feed in ${inputPath}`);
+        return inputPath;
+    }
+
+    // Extract local zips to a scratch directory so the checked-in temp_gtfs copy is left alone
+    console.log(`Extracting ${inputPath}...`);
+    const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-'));
+    new AdmZip(inputPath).extractAllTo(extractDir, true);
+    return extractDir;
+}
+
+// Parse an optional file, returning [] when the feed doesn't include it
+async function parseOptionalCSV(feedDir, file) {
+    const filePath = path.join(feedDir, file);
+    return fs.existsSync(filePath) ? parseCSV(filePath) : [];
+}
+
+function writeReport(reportPath, report) {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    console.log(`Validation report written to ${reportPath}`);
+}
+
+function isValidTimezone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function addException(service, type, date) {
+    if (!service[type]) service[type] = [];
+    if (!service[type].includes(date)) service[type].push(date);
+}
+
+// Map local public holidays onto services, e.g. run the WEEKEND timetable on Hari Raya.
+// Exceptions the feed itself publishes for a date take precedence over the local list, and a holiday
+// only swaps services that are both valid on the date (added dates don't widen a service's range).
+function applyHolidays(calendarMap, calendarDates, holidaysPath) {
+    if (!holidaysPath || !fs.existsSync(holidaysPath)) return;
+
+    const { replace = {}, holidays = [] } = JSON.parse(fs.readFileSync(holidaysPath, 'utf8'));
+    const feedExceptionDates = new Set(calendarDates.map(cd => cd.date));
+    let applied = 0;
+
+    holidays.forEach(({ date }) => {
+        if (feedExceptionDates.has(date)) return;
+
+        Object.entries(replace).forEach(([fromService, toService]) => {
+            if (!calendarMap[fromService] || !calendarMap[toService]) return;
+            const inRange = (service) => date >= service.startDate && date <= service.endDate;
+            if (!inRange(calendarMap[fromService]) || !inRange(calendarMap[toService])) return;
+            addException(calendarMap[fromService], 'removed', date);
+            addException(calendarMap[toService], 'added', date);
+        });
+        applied++;
+    });
+
+    console.log(`Applied ${applied} public holiday(s) from ${path.relative(process.cwd(), holidaysPath)}`);
+}
+
+// Helper: fares.json for src/utils/gtfs.js estimateFare(). The feed's own fare files come through as
+// published (GTFS Fares v2 first, then fare_attributes/fare_rules), alongside the local fare table
+// that prices routes by their fare_rule when the feed has neither.
+function buildFares(tables, fareTablePath) {
+    const { fareAttributes, fareRules, fareProducts, fareLegRules, stopAreas, routeNetworks, riderCategories, routes } = tables;
+    const hasTable = fareTablePath && fs.existsSync(fareTablePath);
+    const table = hasTable ? JSON.parse(fs.readFileSync(fareTablePath, 'utf8')) : {};
+    const fares = {
+        currency: table.currency || fareAttributes[0]?.currency_type || fareProducts[0]?.currency || null,
+        concessionRatio: table.concessionRatio ?? null,
+        rules: table.rules || {}
+    };
+
+    if (fareProducts.length > 0 && fareLegRules.length > 0) {
+        fares.products = {};
+        fareProducts.forEach(p => {
+            if (!fares.products[p.fare_product_id]) fares.products[p.fare_product_id] = [];
+            fares.products[p.fare_product_id].push({
+                name: p.fare_product_name || p.fare_product_id,
+                amount: parseFloat(p.amount),
+                currency: p.currency,
+                riderCategoryId: p.rider_category_id || null
+            });
+        });
+        fares.legRules = fareLegRules.map(r => ({
+            networkId: r.network_id || null,
+            fromAreaId: r.from_area_id || null,
+            toAreaId: r.to_area_id || null,
+            productId: r.fare_product_id,
+            priority: r.rule_priority ? parseInt(r.rule_priority) : 0
+        }));
+        // Networks come from route_networks.txt or the network_id column of routes.txt
+        fares.routeNetworks = Object.fromEntries([
+            ...routes.filter(r => r.network_id).map(r => [r.route_id, r.network_id]),
+            ...routeNetworks.map(r => [r.route_id, r.network_id])
+        ]);
+        fares.stopAreas = {};
+        stopAreas.forEach(({ stop_id: stopId, area_id: areaId }) => {
+            if (!fares.stopAreas[stopId]) fares.stopAreas[stopId] = [];
+            fares.stopAreas[stopId].push(areaId);
+        });
+        fares.riderCategories = Object.fromEntries(riderCategories.map(c => [c.rider_category_id, {
+            name: c.rider_category_name,
+            isDefault: c.is_default_fare_category === '1'
+        }]));
+    }
+
+    if (fareAttributes.length > 0) {
+        fares.fareAttributes = Object.fromEntries(fareAttributes.map(f => [f.fare_id, {
+            price: parseFloat(f.price),
+            currency: f.currency_type
+        }]));
+        fares.fareRules = fareRules.map(r => ({
+            fareId: r.fare_id,
+            routeId: r.route_id || null,
+            originId: r.origin_id || null,
+            destinationId: r.destination_id || null,
+            containsId: r.contains_id || null
+        }));
+    }
+
+    if (fares.legRules) console.log('  Fares from GTFS Fares v2');
+    else if (fares.fareAttributes) console.log('  Fares from fare_attributes.txt');
+    else if (!hasTable) console.log('  No fare files in the feed and no local fare table, fares won\'t be estimated');
+    else {
+        console.log(`  Fares from the local fare table (${path.relative(process.cwd(), fareTablePath)})`);
+        const unpriced = routes.filter(r => !fares.rules[r.fare_rule]).map(r => r.route_short_name || r.route_id);
+        if (unpriced.length > 0) console.warn(`  No fare rule for route(s) ${unpriced.join(', ')}, they'll show no fare estimate`);
+    }
+    return fares;
+}
+
+// Helper: Headsign for a trip. Feeds often repeat the route name in trip_headsign (e.g. "D10"),
+// which says nothing about direction, so fall back to where the trip ends: the place from the
+// route's long name ("KOTA BHARU - PENGKALAN CHEPA") that the terminal stop is named after,
+// or the terminal stop's own name.
+function resolveHeadsign(trip, route, lastStop) {
+    const headsign = (trip.trip_headsign || '').trim();
+    const useless = [route?.route_short_name, route?.route_long_name, trip.route_id]
+        .some(name => name && name.trim().toUpperCase() === headsign.toUpperCase());
+    if (headsign && !useless) return headsign;
+    if (!lastStop) return headsign;
+
+    const stopName = lastStop.name.toUpperCase();
+    const place = (route?.route_long_name || '')
+        .split(/\s+-\s+/)
+        .map(part => part.replace(/\s+VIA\s+.*$/i, '').trim())
+        .find(part => part && stopName.includes(part.toUpperCase()));
+    return place || lastStop.name;
+}
+
+// Helper: Fill in the blank times GTFS allows at stops that aren't timepoints (the validator has made
+// sure the first and last stops are timed). A stop with only one of its times uses it for both, and
+// untimed stops get times spread by straight-line distance between the timed stops either side.
+function interpolateStopTimes(tripStops, stopsMap) {
+    const isBlank = (time) => !time || !time.trim();
+    tripStops.forEach(stop => {
+        if (isBlank(stop.arrival)) stop.arrival = stop.departure;
+        if (isBlank(stop.departure)) stop.departure = stop.arrival;
+    });
+
+    const pointOf = (stop) => stopsMap[stop.stopId] && [stopsMap[stop.stopId].lat, stopsMap[stop.stopId].lon];
+    let previous = 0;
+    for (let i = 1; i < tripStops.length; i++) {
+        if (isBlank(tripStops[i].arrival)) continue;
+        if (i - previous > 1) {
+            // Distance from the previous timed stop to each stop up to this one
+            const distances = [0];
+            for (let j = previous + 1; j <= i; j++) {
+                const from = pointOf(tripStops[j - 1]);
+                const to = pointOf(tripStops[j]);
+                distances.push(distances[distances.length - 1] + (from && to ? haversineDistance(from, to) : 0));
+            }
+            const total = distances[distances.length - 1];
+            const start = timeToSeconds(tripStops[previous].departure);
+            const end = timeToSeconds(tripStops[i].arrival);
+            for (let j = previous + 1; j < i; j++) {
+                // Evenly spaced when the stops have no distance between them to go by
+                const share = total > 0 ? distances[j - previous] / total : (j - previous) / (i - previous);
+                const time = formatSeconds(Math.round(start + (end - start) * share));
+                tripStops[j].arrival = time;
+                tripStops[j].departure = time;
+            }
+        }
+        previous = i;
+    }
+    return tripStops;
+}
+
+// Helper: "HH:MM:SS" without wrapping at midnight, as GTFS writes times past 24:00:00
+const formatSeconds = (seconds) => [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+
+// Helper: Version manifest for the processed data. The app compares the one it has cached with the
+// server's to offer newer data, and the service worker precaches the files it lists.
+function buildVersionManifest(outputs) {
+    const files = Object.keys(outputs).sort();
+    const hash = crypto.createHash('sha256');
+    files.forEach(file => hash.update(file).update(JSON.stringify(outputs[file])));
+    return { version: hash.digest('hex').slice(0, 12), generatedAt: new Date().toISOString(), files };
+}
+
+// Helper: The feed's entry in public/data/feeds.json, with the bounding box of its stops and, when
+// configured, the centre and zoom the map opens on
+function buildFeedEntry(feed, stopsMap, version) {
+    const stops = Object.values(stopsMap);
+    const lats = stops.map(stop => stop.lat);
+    const lons = stops.map(stop => stop.lon);
+    const bounds = [[Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]];
+    const view = feed.center ? { center: feed.center, zoom: feed.zoom ?? DEFAULT_MAP_ZOOM } : {};
+    return { id: feed.id, name: feed.name, bounds, version, ...view };
+}
+
+// Helper: Print how much the compact schedule saves over the legacy schedule.json
+function reportScheduleSize(schedule, outputs) {
+    const size = (content) => {
+        const json = JSON.stringify(content);
+        return { raw: Buffer.byteLength(json), gzip: zlib.gzipSync(json).length };
+    };
+    const legacy = size(schedule);
+    const compact = Object.entries(outputs)
+        .filter(([file]) => file.startsWith('schedule/'))
+        .map(([, content]) => size(content))
+        .reduce((sum, s) => ({ raw: sum.raw + s.raw, gzip: sum.gzip + s.gzip }), { raw: 0, gzip: 0 });
+    const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+    console.log(`Schedule size: ${kb(compact.raw)} (${kb(compact.gzip)} gzip), legacy schedule.json would be ${kb(legacy.raw)} (${kb(legacy.gzip)} gzip)`);
+}
+
+// Process one configured feed into public/data/<feed id>/, resolving to its feeds.json entry
+// (null when it failed or nothing was written)
+async function processGTFS(feed) {
+    const dataDir = feedDataDir(feed.id);
+    const dataLabel = `public/data/${feed.id}`;
+    try {
+        const feedDir = await prepareFeedDir(feed, args.input);
 
         console.log('Parsing CSV files...');
-        const routes = await parseCSV(path.join(TEMP_DIR, 'routes.txt'));
-        const trips = await parseCSV(path.join(TEMP_DIR, 'trips.txt'));
-        const stops = await parseCSV(path.join(TEMP_DIR, 'stops.txt'));
-        const shapes = await parseCSV(path.join(TEMP_DIR, 'shapes.txt'));
-        const stopTimes = await parseCSV(path.join(TEMP_DIR, 'stop_times.txt'));
-        const calendar = await parseCSV(path.join(TEMP_DIR, 'calendar.txt'));
+        const presentFiles = fs.readdirSync(feedDir).filter(f => f.endsWith('.txt'));
+        const agencies = await parseOptionalCSV(feedDir, 'agency.txt');
+        const routes = await parseOptionalCSV(feedDir, 'routes.txt');
+        const trips = await parseOptionalCSV(feedDir, 'trips.txt');
+        const stops = await parseOptionalCSV(feedDir, 'stops.txt');
+        const shapes = await parseOptionalCSV(feedDir, 'shapes.txt');
+        const stopTimes = await parseOptionalCSV(feedDir, 'stop_times.txt');
+        const calendar = await parseOptionalCSV(feedDir, 'calendar.txt');
+        const calendarDates = await parseOptionalCSV(feedDir, 'calendar_dates.txt');
+        const fareTables = {
+            fareAttributes: await parseOptionalCSV(feedDir, 'fare_attributes.txt'),
+            fareRules: await parseOptionalCSV(feedDir, 'fare_rules.txt'),
+            fareProducts: await parseOptionalCSV(feedDir, 'fare_products.txt'),
+            fareLegRules: await parseOptionalCSV(feedDir, 'fare_leg_rules.txt'),
+            stopAreas: await parseOptionalCSV(feedDir, 'stop_areas.txt'),
+            routeNetworks: await parseOptionalCSV(feedDir, 'route_networks.txt'),
+            riderCategories: await parseOptionalCSV(feedDir, 'rider_categories.txt')
+        };
+
+        console.log('Validating feed...');
+        const validation = validateFeed({ agencies, routes, trips, stops, stopTimes, shapes, calendar, calendarDates }, presentFiles);
+        writeReport(args.report || path.join(TEMP_DIR, feed.id, 'validation-report.json'), {
+            feed: feed.id,
+            source: args.input ? path.resolve(args.input) : feed.url,
+            generatedAt: new Date().toISOString(),
+            ...validation
+        });
+        console.log(`  ${validation.summary.errors} error(s), ${validation.summary.warnings} warning(s)`);
+
+        if (!validation.valid) {
+            validation.issues
+                .filter(issue => issue.severity === 'error')
+                .slice(0, 10)
+                .forEach(issue => console.error(`  [${issue.code}] ${issue.message}`));
+            throw new Error(`Feed failed validation, ${dataLabel} was not updated`);
+        }
+        if (args['validate-only']) {
+            console.log('Validation passed (--validate-only, nothing written).');
+            return null;
+        }
+
+        // Build everything in memory first so a failure part way never leaves the data half-written
+        const outputs = {};
+
+        // 0. Process Agency (the timezone every schedule time is expressed in)
+        console.log('Processing agency...');
+        const timezone = agencies.map(a => a.agency_timezone).find(isValidTimezone) || DEFAULT_TIMEZONE;
+        outputs['agency.json'] = {
+            timezone,
+            agencies: agencies.map(a => ({ id: a.agency_id, name: a.agency_name, url: a.agency_url }))
+        };
 
         // 1. Process Stops
         console.log('Processing stops...');
         const stopsMap = {};
+        const dropped = [];
         stops.forEach(stop => {
+            // Same rule as the validator, so 0,0 placeholders don't land off Africa or stretch the feed's bounds
+            if (!hasCoordinates(stop)) {
+                dropped.push(stop.stop_id);
+                return;
+            }
             stopsMap[stop.stop_id] = {
                 name: stop.stop_name,
                 lat: parseFloat(stop.stop_lat),
                 lon: parseFloat(stop.stop_lon)
             };
+            // Fare zone for fare_rules.txt; this feed calls the column "zone" rather than zone_id
+            const zone = stop.zone_id || stop.zone;
+            if (zone) stopsMap[stop.stop_id].zone = zone;
         });
-        fs.writeFileSync(path.join(DATA_DIR, 'stops.json'), JSON.stringify(stopsMap));
+        if (dropped.length > 0) {
+            const shown = dropped.slice(0, 10).join(', ');
+            console.log(`  Dropped ${dropped.length} stop(s) without coordinates: ${shown}${dropped.length > 10 ? ', …' : ''}`);
+        }
+        outputs['stops.json'] = stopsMap;
 
         // 2. Process Shapes (Route Geometries)
         console.log('Processing shapes...');
@@ -107,7 +462,7 @@ async function processGTFS() {
         Object.keys(shapesMap).forEach(id => {
             simplifiedShapes[id] = shapesMap[id].map(p => [p.lat, p.lon]);
         });
-        fs.writeFileSync(path.join(DATA_DIR, 'shapes.json'), JSON.stringify(simplifiedShapes));
+        outputs['shapes.json'] = simplifiedShapes;
 
         // 3. Process Routes & Link to Trips
         console.log('Processing routes...');
@@ -116,9 +471,11 @@ async function processGTFS() {
             shortName: route.route_short_name,
             longName: route.route_long_name,
             color: route.route_color ? `#${route.route_color}` : '#3b82f6',
-            textColor: route.route_text_color ? `#${route.route_text_color}` : '#ffffff'
+            textColor: route.route_text_color ? `#${route.route_text_color}` : '#ffffff',
+            // MyBAS extension, selects the local fare table's rule (see scripts/fares.json)
+            ...(route.fare_rule ? { fareRule: route.fare_rule } : {})
         }));
-        fs.writeFileSync(path.join(DATA_DIR, 'routes.json'), JSON.stringify(routesData));
+        outputs['routes.json'] = routesData;
 
         // 4. Process Schedule (Trips + Stop Times)
         console.log('Processing schedule...');
@@ -141,6 +498,30 @@ async function processGTFS() {
             };
         });
 
+        // Exceptions from calendar_dates.txt (1 = service added, 2 = service removed)
+        calendarDates.forEach(cd => {
+            if (!/^\d{8}$/.test(cd.date || '')) return;
+            if (!calendarMap[cd.service_id]) {
+                // Services defined only through calendar_dates.txt
+                calendarMap[cd.service_id] = {
+                    monday: false, tuesday: false, wednesday: false, thursday: false,
+                    friday: false, saturday: false, sunday: false,
+                    startDate: cd.date,
+                    endDate: cd.date
+                };
+            }
+            const service = calendarMap[cd.service_id];
+            if (cd.exception_type === '1') {
+                addException(service, 'added', cd.date);
+                if (cd.date < service.startDate) service.startDate = cd.date;
+                if (cd.date > service.endDate) service.endDate = cd.date;
+            } else if (cd.exception_type === '2') {
+                addException(service, 'removed', cd.date);
+            }
+        });
+
+        applyHolidays(calendarMap, calendarDates, args.holidays ?? feed.holidays);
+
         // Helper to sort stop times
         const sortedStopTimes = {};
         stopTimes.forEach(st => {
@@ -152,31 +533,129 @@ async function processGTFS() {
                 seq: parseInt(st.stop_sequence)
             });
         });
-        Object.values(sortedStopTimes).forEach(arr => arr.sort((a, b) => a.seq - b.seq));
+        Object.values(sortedStopTimes).forEach(arr => interpolateStopTimes(arr.sort((a, b) => a.seq - b.seq), stopsMap));
 
+        const routesById = Object.fromEntries(routes.map(route => [route.route_id, route]));
         trips.forEach(trip => {
             const routeId = trip.route_id;
             if (!schedule[routeId]) schedule[routeId] = [];
 
-            if (sortedStopTimes[trip.trip_id]) {
+            const tripStops = sortedStopTimes[trip.trip_id];
+            if (tripStops) {
+                const lastStop = stopsMap[tripStops[tripStops.length - 1].stopId];
                 schedule[routeId].push({
                     tripId: trip.trip_id,
                     serviceId: trip.service_id,
                     shapeId: trip.shape_id,
-                    headsign: trip.trip_headsign,
-                    stops: sortedStopTimes[trip.trip_id]
+                    // direction_id is optional in GTFS: 0 and 1 are the two directions, null when unknown
+                    directionId: trip.direction_id === '0' || trip.direction_id === '1' ? Number(trip.direction_id) : null,
+                    headsign: resolveHeadsign(trip, routesById[routeId], lastStop),
+                    stops: tripStops
                 });
             }
         });
 
-        fs.writeFileSync(path.join(DATA_DIR, 'schedule.json'), JSON.stringify(schedule));
-        fs.writeFileSync(path.join(DATA_DIR, 'calendar.json'), JSON.stringify(calendarMap));
+        // Compact, per-route schedule (see src/utils/scheduleFormat.js)
+        const { index: scheduleIndex, routes: routeSchedules } = encodeSchedule(schedule, { splitRoutes: args['split-routes'] });
+        outputs['schedule/index.json'] = scheduleIndex;
+        Object.entries(routeSchedules).forEach(([routeId, routeSchedule]) => {
+            outputs[scheduleIndex.routes[routeId].file] = routeSchedule;
+        });
+        outputs['calendar.json'] = calendarMap;
+
+        // 5. Vehicle blocks: block_id where the feed has it, inferred from terminal/time continuity otherwise
+        console.log('Processing vehicle blocks...');
+        const blockIds = Object.fromEntries(trips.filter(trip => trip.block_id).map(trip => [trip.trip_id, trip.block_id]));
+        const routeNames = Object.fromEntries(routes.map(route => [route.route_id, route.route_short_name || route.route_id]));
+        const blocks = inferBlocks(schedule, stopsMap, { blockIds, routeNames });
+        const inferred = blocks.filter(block => block.inferred).length;
+        console.log(`  ${blocks.length} block(s), ${inferred} inferred, ${blocks.length - inferred} from block_id`);
+        outputs['blocks.json'] = { blocks };
+
+        // 6. Process Fares
+        console.log('Processing fares...');
+        outputs['fares.json'] = buildFares({ ...fareTables, routes }, args.fares ?? feed.fares);
+        outputs['version.json'] = buildVersionManifest(outputs);
+
+        // Compare with the data this run replaces before overwriting it
+        const previous = readProcessedFeed(jsonReader(dataDir));
+        const manifest = outputs['version.json'];
+        let diff = null;
+        let changeLog = null;
+        if (previous) {
+            diff = diffFeeds(previous, readProcessedFeed(file => outputs[file]));
+            const routeNames = Object.fromEntries(routesData.map(route => [route.id, route.shortName]));
+            changeLog = formatChangeLog(diff, { routeNames });
+            console.log(formatChangeLog(diff, { limit: CHANGE_LOG_LIMIT, routeNames }));
+        } else {
+            console.log(`No previously processed feed in ${dataLabel}, skipping the change log.`);
+        }
 
-        console.log('GTFS processing complete!');
+        const files = Object.fromEntries(Object.entries(outputs).map(([file, content]) => [file, JSON.stringify(content)]));
+        const snapshotsDir = path.join(args.snapshots, feed.id);
+
+        // The release being replaced has to stay restorable, so keep it first if the store has never seen it
+        const previousManifest = fs.existsSync(path.join(dataDir, 'version.json')) ? jsonReader(dataDir)('version.json') : null;
+        if (!args['no-snapshot'] && previousManifest?.files && previousManifest.version !== manifest.version
+            && !listSnapshots(snapshotsDir).some(s => s.version === previousManifest.version)) {
+            const snapshotDir = writeSnapshot(snapshotsDir, readDataFiles(dataDir), previousManifest, null, null);
+            console.log(`Previous data (${previousManifest.version}) snapshotted to ${path.relative(process.cwd(), snapshotDir)}`);
+        }
+
+        writeDataFiles(dataDir, files);
+
+        // Keep a copy to roll back to, unless this exact data is already the latest snapshot
+        if (!args['no-snapshot']) {
+            const latest = listSnapshots(snapshotsDir).at(-1);
+            if (latest?.version === manifest.version) {
+                console.log(`Data unchanged since snapshot ${latest.name}`);
+            } else {
+                const snapshotDir = writeSnapshot(snapshotsDir, files, manifest, diff, changeLog);
+                console.log(`Snapshot written to ${path.relative(process.cwd(), snapshotDir)}`);
+            }
+        }
+        reportScheduleSize(schedule, outputs);
+
+        console.log(`GTFS processing complete, written to ${dataLabel}`);
+        return buildFeedEntry(feed, stopsMap, manifest.version);
 
     } catch (error) {
-        console.error('Error processing GTFS:', error);
+        console.error(`Error processing GTFS for ${feed.id}:`, error.message);
+        process.exitCode = 1;
+        return null;
+    }
+}
+
+// One feed failing (an endpoint down, a broken export) doesn't hold the others back
+async function processFeeds() {
+    let config;
+    let feeds;
+    try {
+        config = loadFeedConfig();
+        const ids = args.feed || (args.input ? [config.default] : config.feeds.map(feed => feed.id));
+        feeds = [...new Set(ids)].map(id => findFeed(config, id));
+        const singleFeedOptions = ['input', 'report', 'holidays', 'fares'].filter(option => args[option] !== undefined);
+        if (feeds.length > 1 && singleFeedOptions.length > 0) {
+            throw new Error(`--${singleFeedOptions[0]} applies to a single feed, pick it with --feed <id>`);
+        }
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+        return;
+    }
+
+    const processed = [];
+    for (const feed of feeds) {
+        console.log(`\n=== ${feed.name} (${feed.id}) ===`);
+        const entry = await processGTFS(feed);
+        if (entry) processed.push(entry);
+    }
+
+    if (processed.length > 0) {
+        const index = writeFeedIndex(config, processed);
+        console.log(`\npublic/data/feeds.json lists ${index.feeds.length} feed(s): ${index.feeds.map(entry => entry.id).join(', ')}`);
     }
+    if (feeds.length > 1) console.log(`${processed.length} of ${feeds.length} feed(s) processed.`);
 }
 
-processGTFS();
+processFeeds();
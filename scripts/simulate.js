@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { loadData, getZonedTime, getInstant, timeToSeconds, addDays } from '../src/utils/gtfs.js';
+import { buildSimulation, getActiveTrips } from '../src/utils/simulation.js';
+import { parseScenario, buildScenarioUpdates } from '../src/utils/scenarios.js';
+import { toCSV } from '../src/utils/analytics.js';
+import { loadFeedConfig, findFeed, feedDataDir } from './feed-config.js';
+
+// Runs the simulation engine without the map and writes where every bus is at each step,
+// for analysis in QGIS or a spreadsheet.
+//
+//   node scripts/simulate.js --date 20250707 --from 07:00 --to 09:00 --step 30 --format geojsonl
+//
+// Options:
+//   --feed <id>         feed to simulate (default the default feed in scripts/feeds.json)
+//   --date <YYYYMMDD>   service day (default today in the feed's timezone)
+//   --from <HH:MM>      first step (default 00:00), HH:MM:SS works too
+//   --to <HH:MM>        last step (default 24:00); times past 24:00 (up to 48:00) run on into the next day's service
+//   --step <seconds>    time between steps (default 60)
+//   --format <format>   csv (default), geojson (one FeatureCollection) or geojsonl (one Feature per line)
+//   --out <file>        output file (default simulation-<date>.<format> in the current directory)
+//   --scenario <id|file> play a disruption scenario, bundled for the feed (public/scenarios/<id>.json) or a local file
+//   --no-layovers       leave out buses laying over between the trips of their block
+// Every position carries a UTC timestamp (usable by QGIS's temporal controller) and the local time.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SCENARIO_DIR = path.join(__dirname, '../public/scenarios');
+const FORMATS = ['csv', 'geojson', 'geojsonl'];
+const DAY = 86400;
+const COLUMNS = [
+    'timestamp', 'service_date', 'time', 'vehicle', 'block_id', 'trip_id', 'route_id', 'route_short_name',
+    'headsign', 'direction_id', 'status', 'stop_id', 'delay', 'bearing', 'lat', 'lon'
+];
+
+const { values: args } = parseArgs({
+    options: {
+        feed: { type: 'string' },
+        date: { type: 'string', short: 'd' },
+        from: { type: 'string', default: '00:00' },
+        to: { type: 'string', default: '24:00' },
+        step: { type: 'string', default: '60' },
+        format: { type: 'string', short: 'f', default: 'csv' },
+        out: { type: 'string', short: 'o' },
+        scenario: { type: 'string' },
+        'no-layovers': { type: 'boolean', default: false }
+    }
+});
+
+// Helper: Seconds on the service day from "HH:MM" or "HH:MM:SS"
+function parseTime(option, value) {
+    if (!/^\d{1,2}:\d{2}(:\d{2})?$/.test(value)) throw new Error(`--${option} must be HH:MM or HH:MM:SS, got "${value}"`);
+    return timeToSeconds(value.split(':').length === 2 ? `${value}:00` : value);
+}
+
+// Helper: Whether "YYYYMMDD" is a real calendar date (20251345 isn't)
+function isCalendarDate(value) {
+    if (!/^\d{8}$/.test(value)) return false;
+    const [year, month, day] = [value.slice(0, 4), value.slice(4, 6), value.slice(6, 8)].map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Helper: Buses on the road at `seconds` on the service day's clock. Past 24:00 that's the next day's
+// early morning: its engine call holds the next day's trips as well as this day's late ones (as its
+// yesterday), which this day's call alone would miss.
+function getActiveBuses(simulation, serviceDate, seconds, tripUpdates, options) {
+    return seconds >= DAY
+        ? getActiveTrips(simulation, addDays(serviceDate, 1), seconds - DAY, tripUpdates, options)
+        : getActiveTrips(simulation, serviceDate, seconds, tripUpdates, options);
+}
+
+// Helper: "HH:MM:SS" on the service day's clock
+const clockTime = (seconds) => [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+    .map(n => String(n).padStart(2, '0'))
+    .join(':');
+
+// Helper: Trip updates for --scenario, from a bundled scenario id or a scenario file. A bundled scenario
+// names one feed's stops and trips (its "feed" in public/scenarios/index.json) and only plays on that feed.
+function loadScenarioUpdates(ref, data) {
+    const index = JSON.parse(fs.readFileSync(path.join(SCENARIO_DIR, 'index.json'), 'utf8'));
+    const entry = index.find(scenario => scenario.id === ref);
+    if (entry && entry.feed !== data.feedId) {
+        throw new Error(`Scenario "${ref}" is for the ${entry.feed} feed, not ${data.feedId}`);
+    }
+    const bundled = path.join(SCENARIO_DIR, `${ref}.json`);
+    const file = fs.existsSync(bundled) ? bundled : path.resolve(ref);
+    if (!fs.existsSync(file)) throw new Error(`No scenario "${ref}" in public/scenarios and no such file`);
+    const scenario = parseScenario(fs.readFileSync(file, 'utf8'));
+    console.log(`Playing scenario: ${scenario.name || ref}`);
+    return buildScenarioUpdates(scenario, data.schedule);
+}
+
+// Helper: One output record per bus, in COLUMNS order
+function toRecord(entry, serviceDate, seconds, data, simulation, routesById) {
+    const trip = simulation.tripsById[entry.tripId];
+    return [
+        getInstant(serviceDate, seconds, data.timezone).toISOString(),
+        serviceDate,
+        clockTime(seconds),
+        entry.vehicle,
+        entry.blockId,
+        entry.tripId,
+        entry.routeId,
+        routesById[entry.routeId]?.shortName ?? null,
+        entry.headsign,
+        entry.directionId,
+        entry.status,
+        trip.stopIds[entry.stopIndex],
+        entry.delay,
+        Math.round(entry.bearing),
+        Number(entry.position[0].toFixed(6)),
+        Number(entry.position[1].toFixed(6))
+    ];
+}
+
+function toFeature(record) {
+    const properties = Object.fromEntries(COLUMNS.slice(0, -2).map((column, i) => [column, record[i]]));
+    const [lat, lon] = record.slice(-2);
+    return { type: 'Feature', geometry: { type: 'Point', coordinates: [lon, lat] }, properties };
+}
+
+async function simulate() {
+    try {
+        if (!FORMATS.includes(args.format)) throw new Error(`Unknown format "${args.format}" (use ${FORMATS.join(', ')})`);
+        const from = parseTime('from', args.from);
+        const to = parseTime('to', args.to);
+        const step = Number(args.step);
+        if (!Number.isInteger(step) || step <= 0) throw new Error(`--step must be a whole number of seconds, got "${args.step}"`);
+        if (to < from) throw new Error('--to is before --from');
+        if (to > 2 * DAY) throw new Error('--to can be 48:00 at the latest');
+        if (args.date !== undefined && !isCalendarDate(args.date)) throw new Error(`--date must be a YYYYMMDD calendar date, got "${args.date}"`);
+
+        const feed = findFeed(loadFeedConfig(), args.feed);
+        const dataDir = feedDataDir(feed.id);
+        const data = await loadData(feed.id, async (file) => JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8')));
+        const serviceDate = args.date || getZonedTime(new Date(), data.timezone).serviceDate;
+
+        const simulation = buildSimulation(data);
+        const routesById = Object.fromEntries(data.routes.map(route => [route.id, route]));
+        const tripUpdates = args.scenario ? loadScenarioUpdates(args.scenario, data) : {};
+        const options = { includeLayovers: !args['no-layovers'] };
+
+        // Written step by step, a whole day at a short step is too much to hold in memory
+        const outFile = path.resolve(args.out || `simulation-${serviceDate}.${args.format}`);
+        const fd = fs.openSync(outFile, 'w');
+        const write = (text) => fs.writeSync(fd, text);
+        const csvHeader = toCSV(COLUMNS, []);
+        let steps = 0;
+        let positions = 0;
+        const vehicles = new Set();
+
+        if (args.format === 'csv') write(csvHeader);
+        if (args.format === 'geojson') write('{"type":"FeatureCollection","features":[\n');
+
+        for (let seconds = from; seconds <= to; seconds += step) {
+            const records = getActiveBuses(simulation, serviceDate, seconds, tripUpdates, options)
+                .sort((a, b) => a.vehicle.localeCompare(b.vehicle, undefined, { numeric: true }))
+                .map(entry => toRecord(entry, serviceDate, seconds, data, simulation, routesById));
+            records.forEach(record => vehicles.add(record[3]));
+
+            if (args.format === 'csv') {
+                if (records.length > 0) write(toCSV(COLUMNS, records).slice(csvHeader.length));
+            } else if (args.format === 'geojsonl') {
+                records.forEach(record => write(`${JSON.stringify(toFeature(record))}\n`));
+            } else {
+                // Features of a collection are comma separated, so every one but the very first leads with a comma
+                records.forEach((record, i) => write(`${positions + i > 0 ? ',\n' : ''}${JSON.stringify(toFeature(record))}`));
+            }
+            steps++;
+            positions += records.length;
+        }
+
+        if (args.format === 'geojson') write('\n]}\n');
+        fs.closeSync(fd);
+
+        console.log(`${feed.name} on ${serviceDate}, ${clockTime(from)}–${clockTime(to)} every ${step} s`);
+        console.log(`${steps} step(s), ${positions} position(s) of ${vehicles.size} vehicle(s) written to ${outFile}`);
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+simulate();
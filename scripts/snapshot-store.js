@@ -0,0 +1,82 @@
+// Versioned snapshots of the processed feed
+// Every processor run that changes the data keeps a copy of what it wrote, so an earlier feed release can be
+// restored and any two releases compared. The release it replaces is kept too when the store doesn't have it yet
+// (data processed before snapshots existed, or with --no-snapshot). Each feed has its own directory:
+//   snapshots/<feed id>/<generatedAt>-<version>/data/...      the files written to public/data/<feed id> (same layout)
+//   snapshots/<feed id>/<generatedAt>-<version>/changes.json  diffFeeds() against the data it replaced
+//   snapshots/<feed id>/<generatedAt>-<version>/CHANGES.txt   the same as a readable change log
+
+import fs from 'fs';
+import path from 'path';
+import { readProcessedFeed } from './diff-gtfs.js';
+
+// Helper: Read JSON relative to a processed data directory (the shape readProcessedFeed expects)
+export const jsonReader = (dir) => (file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+
+// Helper: Replace the processed data in `dataDir` with `files` ({ relative path: file text }).
+// The schedule directory goes wholesale so routes dropped from the feed don't linger,
+// along with the legacy monolithic schedule.json.
+export function writeDataFiles(dataDir, files) {
+    fs.rmSync(path.join(dataDir, 'schedule'), { recursive: true, force: true });
+    fs.rmSync(path.join(dataDir, 'schedule.json'), { force: true });
+    fs.mkdirSync(path.join(dataDir, 'schedule'), { recursive: true });
+
+    Object.entries(files).forEach(([file, text]) => {
+        fs.writeFileSync(path.join(dataDir, file), text);
+    });
+}
+
+export function writeSnapshot(snapshotsDir, files, manifest, diff, changeLog) {
+    // Compact UTC timestamp first so names sort by date (and no colons, which Windows paths can't hold)
+    const name = `${manifest.generatedAt.replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z')}-${manifest.version}`;
+    const dir = path.join(snapshotsDir, name);
+    writeDataFiles(path.join(dir, 'data'), files);
+    if (diff) {
+        fs.writeFileSync(path.join(dir, 'changes.json'), JSON.stringify(diff, null, 2));
+        fs.writeFileSync(path.join(dir, 'CHANGES.txt'), `${changeLog}\n`);
+    }
+    return dir;
+}
+
+// Helper: Snapshots oldest first: [{ name, dir, version, generatedAt, summary }]
+export function listSnapshots(snapshotsDir) {
+    if (!fs.existsSync(snapshotsDir)) return [];
+
+    return fs.readdirSync(snapshotsDir)
+        .filter(name => fs.existsSync(path.join(snapshotsDir, name, 'data', 'version.json')))
+        .map(name => {
+            const dir = path.join(snapshotsDir, name);
+            const { version, generatedAt } = jsonReader(dir)('data/version.json');
+            const changesFile = path.join(dir, 'changes.json');
+            const summary = fs.existsSync(changesFile) ? JSON.parse(fs.readFileSync(changesFile, 'utf8')).summary : null;
+            return { name, dir, version, generatedAt, summary };
+        })
+        .sort((a, b) => a.generatedAt.localeCompare(b.generatedAt));
+}
+
+// Helper: The snapshot a version hash (or a prefix of it) or directory name refers to
+export function findSnapshot(snapshotsDir, ref) {
+    const snapshots = listSnapshots(snapshotsDir);
+    const exact = snapshots.filter(s => s.name === ref || s.version === ref);
+    const matches = exact.length > 0 ? exact : snapshots.filter(s => s.version.startsWith(ref));
+    // The same data can be snapshotted more than once (e.g. re-processed after a rollback), the newest wins
+    const versions = new Set(matches.map(s => s.version));
+    if (matches.length === 0) throw new Error(`No snapshot matches "${ref}"`);
+    if (versions.size > 1) throw new Error(`"${ref}" matches several versions: ${[...versions].join(', ')}`);
+    return matches[matches.length - 1];
+}
+
+// Helper: { relative path: file text } for every file of the processed data in `dataDir`, per its version.json
+export function readDataFiles(dataDir) {
+    const { files } = jsonReader(dataDir)('version.json');
+    return Object.fromEntries([...files, 'version.json'].map(file => [file, fs.readFileSync(path.join(dataDir, file), 'utf8')]));
+}
+
+// Helper: { relative path: file text } for every file a snapshot holds
+export function readSnapshotFiles(snapshot) {
+    return readDataFiles(path.join(snapshot.dir, 'data'));
+}
+
+export function readSnapshotFeed(snapshot) {
+    return readProcessedFeed(jsonReader(path.join(snapshot.dir, 'data')));
+}
@@ -0,0 +1,185 @@
+// GTFS feed validation
+// Produces a machine-readable report of problems found in the parsed feed tables.
+// Errors are fatal (the processed output would be broken), warnings are informational.
+
+export const REQUIRED_FILES = ['agency.txt', 'routes.txt', 'trips.txt', 'stops.txt', 'stop_times.txt'];
+
+// Helper: Whether a stops.txt row has usable coordinates; 0,0 is a placeholder some exports write for "unknown"
+export function hasCoordinates(stop) {
+    const lat = parseFloat(stop.stop_lat);
+    const lon = parseFloat(stop.stop_lon);
+    return Number.isFinite(lat) && Number.isFinite(lon) && !(lat === 0 && lon === 0);
+}
+
+// Cap the number of issues recorded per check so a badly broken feed doesn't produce a huge report
+const MAX_ISSUES_PER_CODE = 50;
+
+export function validateFeed(tables, presentFiles) {
+    const issues = [];
+    const counts = {};
+    const totals = { error: 0, warning: 0 };
+
+    const report = (severity, code, file, message, context = {}) => {
+        counts[code] = (counts[code] || 0) + 1;
+        totals[severity]++;
+        if (counts[code] > MAX_ISSUES_PER_CODE) return;
+        issues.push({ severity, code, file, message, ...context });
+    };
+
+    // 1. Required files
+    REQUIRED_FILES.forEach(file => {
+        if (!presentFiles.includes(file)) {
+            report('error', 'missing_required_file', file, `Required file ${file} is missing`);
+        }
+    });
+    if (!presentFiles.includes('calendar.txt') && !presentFiles.includes('calendar_dates.txt')) {
+        report('error', 'missing_calendar', 'calendar.txt', 'Neither calendar.txt nor calendar_dates.txt is present');
+    }
+
+    const { agencies = [], routes = [], trips = [], stops = [], stopTimes = [], shapes = [], calendar = [], calendarDates = [] } = tables;
+
+    // 2. Agency timezone, which every stop time is interpreted in
+    const timezones = new Set(agencies.map(a => a.agency_timezone));
+    timezones.forEach(timeZone => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+        } catch {
+            report('warning', 'invalid_timezone', 'agency.txt', `agency_timezone "${timeZone}" is not a valid IANA timezone, falling back to the default`, { timezone: timeZone });
+        }
+    });
+    if (timezones.size > 1) {
+        report('warning', 'multiple_timezones', 'agency.txt', 'Agencies in one feed should share the same agency_timezone');
+    }
+
+    // 3. Stops with no usable coordinates
+    const stopIds = new Set();
+    const stopsWithoutCoords = new Set();
+    stops.forEach(stop => {
+        stopIds.add(stop.stop_id);
+        if (!hasCoordinates(stop)) stopsWithoutCoords.add(stop.stop_id);
+    });
+
+    // 4. Service calendar exceptions
+    const serviceIds = new Set([...calendar.map(c => c.service_id), ...calendarDates.map(cd => cd.service_id)]);
+    calendarDates.forEach(cd => {
+        if (!/^\d{8}$/.test(cd.date || '') || !['1', '2'].includes(cd.exception_type)) {
+            report('warning', 'invalid_calendar_date', 'calendar_dates.txt', `Ignoring malformed exception for service ${cd.service_id} on ${cd.date}`, { serviceId: cd.service_id, date: cd.date });
+        }
+    });
+
+    // 5. Trip references
+    const routeIds = new Set(routes.map(r => r.route_id));
+    const shapeIds = new Set(shapes.map(s => s.shape_id));
+    const tripIds = new Set();
+    trips.forEach(trip => {
+        tripIds.add(trip.trip_id);
+        if (!routeIds.has(trip.route_id)) {
+            report('error', 'unknown_route_id', 'trips.txt', `Trip ${trip.trip_id} references unknown route_id ${trip.route_id}`, { tripId: trip.trip_id, routeId: trip.route_id });
+        }
+        if (!serviceIds.has(trip.service_id)) {
+            report('error', 'unknown_service_id', 'trips.txt', `Trip ${trip.trip_id} references unknown service_id ${trip.service_id}`, { tripId: trip.trip_id, serviceId: trip.service_id });
+        }
+        if (trip.shape_id && !shapeIds.has(trip.shape_id)) {
+            report('error', 'unknown_shape_id', 'trips.txt', `Trip ${trip.trip_id} references unknown shape_id ${trip.shape_id}`, { tripId: trip.trip_id, shapeId: trip.shape_id });
+        }
+    });
+
+    // 6. Stop times: references, unique sequence numbers and time monotonicity.
+    // GTFS only requires times at timepoints, blank ones in between are interpolated by the processor.
+    const tripStopTimes = {};
+    const usedStops = new Set();
+    stopTimes.forEach(st => {
+        if (!tripIds.has(st.trip_id)) {
+            report('error', 'unknown_trip_id', 'stop_times.txt', `stop_times row references unknown trip_id ${st.trip_id}`, { tripId: st.trip_id });
+            return;
+        }
+        if (!stopIds.has(st.stop_id)) {
+            report('error', 'unknown_stop_id', 'stop_times.txt', `Trip ${st.trip_id} references unknown stop_id ${st.stop_id}`, { tripId: st.trip_id, stopId: st.stop_id });
+        }
+        usedStops.add(st.stop_id);
+        if (!tripStopTimes[st.trip_id]) tripStopTimes[st.trip_id] = [];
+        tripStopTimes[st.trip_id].push(st);
+    });
+
+    Object.entries(tripStopTimes).forEach(([tripId, rows]) => {
+        // Rows may come in any order, stop_sequence alone orders a trip's stops
+        const sorted = [...rows].sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+        let lastTime = -1;
+        let untimed = 0;
+        for (let i = 0; i < sorted.length; i++) {
+            const seq = parseInt(sorted[i].stop_sequence);
+            if (!Number.isFinite(seq)) {
+                report('error', 'invalid_stop_sequence', 'stop_times.txt', `Trip ${tripId} has a non-numeric stop_sequence`, { tripId });
+                break;
+            }
+            if (i > 0 && seq === parseInt(sorted[i - 1].stop_sequence)) {
+                report('error', 'duplicate_stop_sequence', 'stop_times.txt', `Trip ${tripId} repeats stop_sequence ${seq}`, { tripId, stopSequence: seq });
+                break;
+            }
+
+            const arrivalText = (sorted[i].arrival_time || '').trim();
+            const departureText = (sorted[i].departure_time || '').trim();
+            if (!arrivalText && !departureText) {
+                if (i === 0 || i === sorted.length - 1) {
+                    report('error', 'missing_terminal_time', 'stop_times.txt', `Trip ${tripId} has no time at its ${i === 0 ? 'first' : 'last'} stop (stop_sequence ${seq})`, { tripId, stopSequence: seq });
+                    break;
+                }
+                untimed++;
+                continue;
+            }
+
+            // A stop with only one of the two times uses it for both
+            const arrival = parseTime(arrivalText || departureText);
+            const departure = parseTime(departureText || arrivalText);
+            if (arrival === null || departure === null) {
+                report('error', 'invalid_time', 'stop_times.txt', `Trip ${tripId} has a malformed time at stop_sequence ${seq}`, { tripId, stopSequence: seq });
+                break;
+            }
+            if (arrival < lastTime || departure < arrival) {
+                report('error', 'non_monotonic_times', 'stop_times.txt', `Trip ${tripId} goes back in time at stop_sequence ${seq}`, { tripId, stopSequence: seq });
+                break;
+            }
+            lastTime = departure;
+        }
+        if (untimed > 0) {
+            report('warning', 'interpolated_times', 'stop_times.txt', `Trip ${tripId} has ${untimed} stop(s) without times, they will be interpolated`, { tripId, stops: untimed });
+        }
+    });
+
+    trips.forEach(trip => {
+        const rows = tripStopTimes[trip.trip_id];
+        if (!rows) {
+            report('warning', 'trip_without_stop_times', 'trips.txt', `Trip ${trip.trip_id} has no stop_times and will be dropped`, { tripId: trip.trip_id });
+        }
+    });
+
+    stopsWithoutCoords.forEach(stopId => {
+        // Only fatal when a trip actually serves the stop, otherwise we can just drop it
+        const severity = usedStops.has(stopId) ? 'error' : 'warning';
+        report(severity, 'stop_without_coordinates', 'stops.txt', `Stop ${stopId} has no valid coordinates`, { stopId });
+    });
+
+    return {
+        valid: totals.error === 0,
+        summary: {
+            errors: totals.error,
+            warnings: totals.warning,
+            counts
+        },
+        stats: {
+            routes: routes.length,
+            trips: trips.length,
+            stops: stops.length,
+            stopTimes: stopTimes.length,
+            shapes: shapeIds.size
+        },
+        issues
+    };
+}
+
+// Parse "HH:MM:SS" (hours may exceed 24), returning null when malformed
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) return null;
+    return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
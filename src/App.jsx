@@ -1,7 +1,53 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import MapView from './components/Map';
+import CitySwitcher from './components/CitySwitcher';
+import { loadFeedIndex } from './utils/gtfs';
+
+// Helper: The city to open, ?city=<feed id> when it names a processed feed
+function pickFeedId(index) {
+  const requested = new URLSearchParams(window.location.search).get('city');
+  return index.feeds.some(feed => feed.id === requested) ? requested : index.default;
+}
 
 function App() {
+  const [feedIndex, setFeedIndex] = useState(null);
+  const [feedId, setFeedId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadFeedIndex()
+      .then(index => {
+        if (index.feeds.length === 0) throw new Error('No processed feeds, run npm run process-gtfs');
+        setFeedIndex(index);
+        setFeedId(pickFeedId(index));
+      })
+      .catch(err => {
+        console.error("Failed to load the feed list:", err);
+        setError(err.message);
+      });
+  }, []);
+
+  // Route ids belong to a feed, so a shared ?route= doesn't carry over to the new city
+  const switchCity = (id) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('city', id);
+    url.searchParams.delete('route');
+    window.history.replaceState(null, '', url);
+    setFeedId(id);
+  };
+
+  if (error) return (
+    <div className="flex items-center justify-center h-screen w-full bg-red-900 text-white p-4">
+      <div className="text-center">
+        <h2 className="text-xl font-bold mb-2">Error Loading Data</h2>
+        <p>{error}</p>
+      </div>
+    </div>
+  );
+
+  const feed = feedIndex?.feeds.find(entry => entry.id === feedId);
+  if (!feed) return <div className="flex items-center justify-center h-screen w-full text-white bg-slate-900">Loading Transport Data...</div>;
+
   return (
     <div className="relative w-full h-full">
       {/* Header / Overlay */}
@@ -12,15 +58,17 @@ function App() {
               <h1 className="text-3xl font-extrabold leading-normal bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent drop-shadow-sm pb-1">
                 MyBAS Tracker
               </h1>
-              <p className="text-sm text-gray-300 font-medium mt-1 tracking-wide">Kota Bharu &bull; Simulated Live</p>
+              <p className="text-sm text-gray-300 font-medium mt-1 tracking-wide">
+                <CitySwitcher feeds={feedIndex.feeds} feedId={feed.id} onChange={switchCity} /> &bull; Simulated Live
+              </p>
             </div>
           </div>
         </div>
       </div>
 
-      {/* Main Map */}
+      {/* Main Map, remounted per city so nothing carries over between feeds */}
       <div className="w-full h-full">
-        <MapView />
+        <MapView key={feed.id} feed={feed} />
       </div>
     </div>
   );
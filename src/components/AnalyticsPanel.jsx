@@ -0,0 +1,259 @@
+import React, { useMemo, useState } from 'react';
+import { X, Download } from 'lucide-react';
+import { formatTime } from '../utils/gtfs';
+import { getTripsPerHour, getStopHeadways, getVehiclesInService, getServiceSpans, toCSV } from '../utils/analytics';
+import { downloadFile } from '../utils/download';
+
+const TABS = [
+    { id: 'frequency', label: 'Trips per hour' },
+    { id: 'headways', label: 'Stop headways' },
+    { id: 'fleet', label: 'Buses in service' },
+    { id: 'span', label: 'Service span' }
+];
+const CHART_WIDTH = 480;
+const CHART_HEIGHT = 160;
+const AXIS = 24; // px reserved for labels
+
+const downloadCSV = (filename, csv) => downloadFile(filename, csv, 'text/csv');
+
+const minutes = (seconds) => (seconds === null ? '–' : `${Math.round(seconds / 60)}`);
+
+// Stacked bars of trip starts per hour, one colour per route
+function TripsPerHourChart({ hours, series }) {
+    const totals = hours.map((_, h) => series.reduce((sum, s) => sum + s.counts[h], 0));
+    const max = Math.max(1, ...totals);
+    const barWidth = (CHART_WIDTH - AXIS) / hours.length;
+    const scale = (CHART_HEIGHT - AXIS) / max;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full">
+            <text x={0} y={10} className="fill-gray-400 text-[9px]">{max}</text>
+            <line x1={AXIS} y1={CHART_HEIGHT - AXIS} x2={CHART_WIDTH} y2={CHART_HEIGHT - AXIS} className="stroke-gray-600" />
+            {hours.map((hour, h) => {
+                let y = CHART_HEIGHT - AXIS;
+                return (
+                    <g key={hour}>
+                        {series.map(s => {
+                            const height = s.counts[h] * scale;
+                            y -= height;
+                            return height > 0 && (
+                                <rect key={s.route.id} x={AXIS + h * barWidth + 1} y={y} width={barWidth - 2} height={height} fill={s.route.color}>
+                                    <title>{`${s.route.shortName} ${String(hour).padStart(2, '0')}:00 – ${s.counts[h]} trips`}</title>
+                                </rect>
+                            );
+                        })}
+                        {hour % 3 === 0 && (
+                            <text x={AXIS + h * barWidth + barWidth / 2} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-400 text-[9px]">
+                                {String(hour).padStart(2, '0')}
+                            </text>
+                        )}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+}
+
+// Line of buses on the road over the day, with the peak marked
+function VehiclesChart({ samples, peak }) {
+    const max = Math.max(1, peak.count);
+    const end = samples.length ? samples[samples.length - 1].time : 86400;
+    const x = (time) => AXIS + (time / end) * (CHART_WIDTH - AXIS);
+    const y = (count) => CHART_HEIGHT - AXIS - (count / max) * (CHART_HEIGHT - AXIS - 10);
+    const points = samples.map(s => `${x(s.time)},${y(s.count)}`).join(' ');
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full">
+            <text x={0} y={12} className="fill-gray-400 text-[9px]">{max}</text>
+            <line x1={AXIS} y1={CHART_HEIGHT - AXIS} x2={CHART_WIDTH} y2={CHART_HEIGHT - AXIS} className="stroke-gray-600" />
+            <polygon points={`${x(0)},${y(0)} ${points} ${x(end)},${y(0)}`} className="fill-blue-500/20" />
+            <polyline points={points} fill="none" className="stroke-blue-400" strokeWidth={1.5} />
+            {peak.count > 0 && (
+                <g>
+                    <circle cx={x(peak.time)} cy={y(peak.count)} r={3} className="fill-amber-400" />
+                    <text x={x(peak.time)} y={y(peak.count) - 6} textAnchor="middle" className="fill-amber-300 text-[9px]">
+                        peak {peak.count} at {formatTime(peak.time)}
+                    </text>
+                </g>
+            )}
+            {[0, 6, 12, 18, 24].filter(h => h * 3600 <= end).map(h => (
+                <text key={h} x={x(h * 3600)} y={CHART_HEIGHT - 8} textAnchor="middle" className="fill-gray-400 text-[9px]">
+                    {String(h).padStart(2, '0')}
+                </text>
+            ))}
+        </svg>
+    );
+}
+
+// Analytics dashboard: frequencies, headways, fleet requirement and service spans for the simulated date
+export default function AnalyticsPanel({ data, simDate, initialStopId, onClose }) {
+    const [tab, setTab] = useState('frequency');
+
+    const stopOptions = useMemo(() => (
+        Object.entries(data.stops)
+            .filter(([stopId]) => data.stopSchedules[stopId])
+            .sort((a, b) => a[1].name.localeCompare(b[1].name))
+    ), [data]);
+    // Default to the busiest stop, usually the main terminal
+    const busiestStopId = useMemo(() => (
+        stopOptions.reduce((best, [stopId]) => (
+            !best || data.stopSchedules[stopId].length > data.stopSchedules[best].length ? stopId : best
+        ), null)
+    ), [stopOptions, data]);
+    const [stopId, setStopId] = useState(initialStopId || busiestStopId);
+
+    const frequency = useMemo(() => getTripsPerHour(data.schedule, data.calendar, simDate), [data, simDate]);
+    const headways = useMemo(() => getStopHeadways(stopId, data.stopSchedules, data.calendar, simDate), [data, stopId, simDate]);
+    const fleet = useMemo(() => getVehiclesInService(data.schedule, data.calendar, simDate), [data, simDate]);
+    const spans = useMemo(() => getServiceSpans(data.schedule, data.routes), [data]);
+
+    const series = data.routes
+        .filter(route => frequency.routes[route.id])
+        .map(route => ({ route, counts: frequency.routes[route.id] }));
+
+    const exportCSV = () => {
+        if (tab === 'frequency') {
+            downloadCSV(`trips-per-hour-${simDate}.csv`, toCSV(
+                ['route', 'hour', 'trips'],
+                series.flatMap(s => frequency.hours.map((hour, h) => [s.route.shortName, hour, s.counts[h]]))
+            ));
+        } else if (tab === 'headways') {
+            downloadCSV(`headways-${stopId}-${simDate}.csv`, toCSV(
+                ['stop_id', 'route', 'direction_id', 'headsign', 'departures', 'first', 'last', 'mean_headway_min', 'min_headway_min', 'max_headway_min'],
+                headways.map(h => [stopId, h.route.shortName, h.directionId, h.headsign, h.departures, formatTime(h.first), formatTime(h.last), minutes(h.mean), minutes(h.min), minutes(h.max)])
+            ));
+        } else if (tab === 'fleet') {
+            downloadCSV(`buses-in-service-${simDate}.csv`, toCSV(
+                ['time', 'buses'],
+                fleet.samples.map(s => [formatTime(s.time), s.count])
+            ));
+        } else {
+            downloadCSV('service-span.csv', toCSV(
+                ['route', 'service_id', 'trips', 'first_departure', 'last_departure'],
+                spans.map(s => [s.route.shortName, s.serviceId, s.trips, formatTime(s.first), formatTime(s.last)])
+            ));
+        }
+    };
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[540px] max-w-[calc(100vw-2rem)] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-center justify-between p-4 pb-2 border-b border-gray-600">
+                <h3 className="font-bold text-sm">Service Analytics <span className="text-[10px] text-gray-400 font-normal font-mono ml-1">{simDate}</span></h3>
+                <div className="flex items-center gap-1">
+                    <button onClick={exportCSV} className="flex items-center gap-1 px-2 py-1 rounded bg-slate-800 text-[10px] text-gray-300 hover:text-white">
+                        <Download size={12} /> CSV
+                    </button>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close analytics">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex gap-1 px-4 pt-2 text-[10px]">
+                {TABS.map(({ id, label }) => (
+                    <button
+                        key={id}
+                        onClick={() => setTab(id)}
+                        className={`px-2 py-1 rounded ${tab === id ? 'bg-blue-500/30 text-blue-300' : 'bg-slate-800 text-gray-400'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-3 text-xs">
+                {tab === 'frequency' && (
+                    <>
+                        <TripsPerHourChart hours={frequency.hours} series={series} />
+                        <div className="flex flex-wrap gap-2 mt-2 text-[10px] text-gray-300">
+                            {series.map(s => (
+                                <span key={s.route.id} className="flex items-center gap-1">
+                                    <span className="w-2 h-2 rounded-full" style={{ backgroundColor: s.route.color }} />
+                                    {s.route.shortName} ({s.counts.reduce((a, b) => a + b, 0)})
+                                </span>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                {tab === 'headways' && (
+                    <>
+                        <select
+                            value={stopId || ''}
+                            onChange={(e) => setStopId(e.target.value)}
+                            className="w-full bg-slate-800 text-xs rounded px-2 py-1 mb-2 outline-none"
+                        >
+                            {stopOptions.map(([id, stop]) => (
+                                <option key={id} value={id}>{stop.name}</option>
+                            ))}
+                        </select>
+                        {headways.length === 0 ? (
+                            <div className="text-gray-400 italic">No departures from this stop on this day</div>
+                        ) : (
+                            <table className="w-full text-[10px]">
+                                <thead className="text-gray-400 text-left">
+                                    <tr>
+                                        <th className="font-normal pb-1">Route</th>
+                                        <th className="font-normal">Deps</th>
+                                        <th className="font-normal">First–last</th>
+                                        <th className="font-normal">Headway min / mean / max (min)</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="font-mono">
+                                    {headways.map(h => (
+                                        <tr key={h.key} className="border-t border-white/5">
+                                            <td className="py-1 font-sans">
+                                                <span className="px-1 rounded font-bold" style={{ backgroundColor: h.route.color }}>{h.route.shortName}</span>
+                                                <span className="text-gray-400 ml-1">to {h.headsign}</span>
+                                            </td>
+                                            <td>{h.departures}</td>
+                                            <td>{formatTime(h.first)}–{formatTime(h.last)}</td>
+                                            <td>{minutes(h.min)} / {minutes(h.mean)} / {minutes(h.max)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </>
+                )}
+
+                {tab === 'fleet' && (
+                    <>
+                        <VehiclesChart samples={fleet.samples} peak={fleet.peak} />
+                        <div className="text-[10px] text-gray-400 mt-2">
+                            Peak vehicle requirement: <span className="text-white font-bold">{fleet.peak.count}</span> buses
+                            {fleet.peak.count > 0 && <> at {formatTime(fleet.peak.time)}</>}. Counts trips on the road, layovers between trips excluded.
+                        </div>
+                    </>
+                )}
+
+                {tab === 'span' && (
+                    <table className="w-full text-[10px]">
+                        <thead className="text-gray-400 text-left">
+                            <tr>
+                                <th className="font-normal pb-1">Route</th>
+                                <th className="font-normal">Service</th>
+                                <th className="font-normal">Trips</th>
+                                <th className="font-normal">First</th>
+                                <th className="font-normal">Last</th>
+                            </tr>
+                        </thead>
+                        <tbody className="font-mono">
+                            {spans.map(s => (
+                                <tr key={`${s.route.id}-${s.serviceId}`} className="border-t border-white/5">
+                                    <td className="py-1 font-sans">
+                                        <span className="px-1 rounded font-bold" style={{ backgroundColor: s.route.color }}>{s.route.shortName}</span>
+                                    </td>
+                                    <td>{s.serviceId}</td>
+                                    <td>{s.trips}</td>
+                                    <td>{formatTime(s.first)}</td>
+                                    <td>{formatTime(s.last)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+}
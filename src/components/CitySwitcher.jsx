@@ -0,0 +1,25 @@
+import React from 'react';
+import { MapPin } from 'lucide-react';
+
+// City picker for the header, one entry per processed feed (public/data/feeds.json).
+// With a single feed there's nothing to pick, so it's just the city's name.
+export default function CitySwitcher({ feeds, feedId, onChange }) {
+    const current = feeds.find(feed => feed.id === feedId);
+    if (feeds.length < 2) return <span>{current?.name}</span>;
+
+    return (
+        <label className="inline-flex items-center gap-1 cursor-pointer" title="Switch city">
+            <MapPin size={12} className="text-gray-400 flex-shrink-0" />
+            <select
+                value={feedId}
+                onChange={(e) => onChange(e.target.value)}
+                className="bg-slate-800 border-none text-sm text-gray-300 font-medium rounded px-1 outline-none cursor-pointer"
+                aria-label="City"
+            >
+                {feeds.map(feed => (
+                    <option key={feed.id} value={feed.id}>{feed.name}</option>
+                ))}
+            </select>
+        </label>
+    );
+}
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { RefreshCw, WifiOff, X } from 'lucide-react';
+import { switchToLatestData } from '../utils/offline';
+
+// Top-of-screen notices: running offline on the saved timetable, or newer timetable data on the server
+export default function DataUpdateBanner({ online, updateAvailable }) {
+    const [dismissed, setDismissed] = useState(null); // version the user closed the banner for
+
+    const showUpdate = updateAvailable && dismissed !== updateAvailable.version;
+    if (online && !showUpdate) return null;
+
+    return (
+        <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[10001] glass-panel text-white rounded-lg shadow-2xl border border-slate-700/50 px-3 py-2 text-xs flex items-center gap-2 fade-in">
+            {!online ? (
+                <>
+                    <WifiOff size={14} className="text-amber-400" />
+                    <span>Offline, showing the saved timetable</span>
+                </>
+            ) : (
+                <>
+                    <RefreshCw size={14} className="text-blue-400" />
+                    <span>
+                        Timetable data has been updated
+                        {updateAvailable.generatedAt && (
+                            <span className="text-gray-400"> ({new Date(updateAvailable.generatedAt).toLocaleDateString()})</span>
+                        )}
+                    </span>
+                    <button onClick={switchToLatestData} className="px-2 py-0.5 rounded bg-blue-500 text-white font-bold">
+                        Reload
+                    </button>
+                    <button onClick={() => setDismissed(updateAvailable.version)} className="text-gray-400 hover:text-white bg-transparent p-0" aria-label="Dismiss">
+                        <X size={14} />
+                    </button>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,101 @@
+import React, { useMemo, useState } from 'react';
+import { X, ChevronDown, ChevronRight, Coffee } from 'lucide-react';
+import { formatTime } from '../utils/gtfs';
+import { getFleetDuties } from '../utils/blocks';
+
+const SHORT_LAYOVER = 5 * 60; // seconds, less than this leaves no slack for a late arrival
+
+// Helper: "4 h 05 min" or "26 min"
+function formatDuration(seconds) {
+    const mins = Math.round(seconds / 60);
+    if (mins < 60) return `${mins} min`;
+    return `${Math.floor(mins / 60)} h ${String(mins % 60).padStart(2, '0')} min`;
+}
+
+// Fleet view: every vehicle block running on the simulated service day, with its duties
+// (trips in running order), the layover between them and its hours in service.
+export default function FleetPanel({ data, tripIndex, simDate, currentTime, onSelectTrip, onClose }) {
+    const fleet = useMemo(() => getFleetDuties(data.blocks, tripIndex, data.calendar, simDate), [data, tripIndex, simDate]);
+    const [expandedId, setExpandedId] = useState(null);
+    const inferred = fleet.blocks.some(({ block }) => block.inferred);
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-start justify-between gap-2 p-4 pb-2 border-b border-gray-600">
+                <div>
+                    <h3 className="font-bold text-sm">Fleet</h3>
+                    <div className="text-[10px] text-gray-400">
+                        {fleet.vehicles} vehicle{fleet.vehicles === 1 ? '' : 's'}, at most {fleet.peakVehicles} out at once
+                    </div>
+                    <div className="text-[10px] text-gray-400">
+                        {formatDuration(fleet.inService)} in service · {formatDuration(fleet.layover)} layover
+                    </div>
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close fleet view">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-2 space-y-1 text-xs">
+                {fleet.blocks.length === 0 && (
+                    <div className="text-gray-400 italic">
+                        {data.blocks.length === 0 ? 'No vehicle blocks in this data, re-run the processor' : 'No vehicles run on this day'}
+                    </div>
+                )}
+                {fleet.blocks.map(({ block, duties, start, end, inService, layover }) => {
+                    const expanded = expandedId === block.id;
+                    const out = currentTime >= start && currentTime <= end;
+                    const routes = [...new Map(duties.map(duty => [duty.route.id, duty.route])).values()];
+                    return (
+                        <div key={block.id}>
+                            <button
+                                onClick={() => setExpandedId(expanded ? null : block.id)}
+                                className="w-full flex items-center gap-1.5 text-left bg-transparent p-0 group"
+                                aria-expanded={expanded}
+                            >
+                                {expanded ? <ChevronDown size={12} className="flex-shrink-0" /> : <ChevronRight size={12} className="flex-shrink-0" />}
+                                <span className={`w-1.5 h-1.5 rounded-full flex-shrink-0 ${out ? 'bg-green-400' : 'bg-slate-600'}`} title={out ? 'Out now' : 'Not out now'} />
+                                <span className="font-bold truncate group-hover:text-blue-300">{block.id}</span>
+                                {routes.map(route => (
+                                    <span key={route.id} className="text-[10px] px-1 rounded font-bold flex-shrink-0" style={{ backgroundColor: route.color }}>{route.shortName}</span>
+                                ))}
+                                <span className="ml-auto font-mono text-[10px] text-gray-400 flex-shrink-0">{formatTime(start)}–{formatTime(end)}</span>
+                            </button>
+                            <div className="pl-[18px] text-[10px] text-gray-500">
+                                {duties.length} trip{duties.length === 1 ? '' : 's'} · {formatDuration(inService)} in service · {formatDuration(layover)} layover
+                            </div>
+
+                            {expanded && (
+                                <ol className="pl-[18px] mt-1 mb-2 space-y-0.5 text-[10px]">
+                                    {duties.map(duty => (
+                                        <li key={duty.tripId}>
+                                            <button
+                                                onClick={() => onSelectTrip(duty.tripId, block.id)}
+                                                className="w-full flex items-center gap-1.5 text-left bg-transparent p-0 hover:text-white text-gray-300"
+                                                title={`Inspect trip ${duty.tripId}`}
+                                            >
+                                                <span className="font-mono text-gray-400">{formatTime(duty.start)}–{formatTime(duty.end)}</span>
+                                                <span className="px-1 rounded font-bold flex-shrink-0 text-white" style={{ backgroundColor: duty.route.color }}>{duty.route.shortName}</span>
+                                                <span className="truncate">to {duty.headsign}</span>
+                                            </button>
+                                            {duty.layover !== null && (
+                                                <div className={`flex items-center gap-1 pl-2 ${duty.layover < SHORT_LAYOVER ? 'text-amber-400' : 'text-gray-500'}`}>
+                                                    <Coffee size={10} /> {formatDuration(duty.layover)} layover
+                                                </div>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+                    );
+                })}
+                {inferred && (
+                    <div className="pt-2 text-[10px] text-gray-500 italic">
+                        Blocks without a block_id in the feed are inferred from terminal and time continuity.
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import React, { useMemo } from 'react';
+import { X, MapPin } from 'lucide-react';
+import { formatTime, getActiveServices, getWeekday } from '../utils/gtfs';
+import { MAX_ACCESS_WALK } from '../utils/planner';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Reachability: pick a stop (or a point) and a departure, the map shows how far bus plus walking
+// gets you in each band. The service day is separate from the simulation's so weekday and weekend
+// coverage can be compared without moving the simulation clock.
+export default function IsochronePanel({ data, origin, serviceDate, departureTime, isochrones, onChange, picking, onPick, onClose }) {
+    const stopOptions = useMemo(() => (
+        Object.entries(data.stops).sort((a, b) => a[1].name.localeCompare(b[1].name))
+    ), [data]);
+    const services = getActiveServices(data.calendar, serviceDate);
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-center justify-between p-4 pb-2 border-b border-gray-600">
+                <h3 className="font-bold text-sm">Reachability</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close reachability">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="p-4 pt-2 space-y-2 border-b border-gray-700">
+                <div className="space-y-1">
+                    <div className="text-[10px] text-gray-400 uppercase">From</div>
+                    <div className="flex gap-1">
+                        <select
+                            value={origin?.stopId || ''}
+                            onChange={(e) => onChange({ origin: e.target.value ? { stopId: e.target.value } : null })}
+                            className="flex-1 min-w-0 bg-slate-800 text-xs rounded px-2 py-1 outline-none"
+                        >
+                            <option value="">{origin && !origin.stopId ? `Pin ${origin.lat.toFixed(4)}, ${origin.lon.toFixed(4)}` : 'Choose a stop…'}</option>
+                            {stopOptions.map(([stopId, stop]) => (
+                                <option key={stopId} value={stopId}>{stop.name}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={() => onPick(!picking)}
+                            className={`px-2 rounded text-xs ${picking ? 'bg-blue-500 text-white' : 'bg-slate-800 text-gray-300'}`}
+                            title="Pick a point on the map"
+                        >
+                            <MapPin size={14} />
+                        </button>
+                    </div>
+                    {picking && <div className="text-[10px] text-blue-300">Click the map or a stop to start from there.</div>}
+                </div>
+                <label className="flex items-center justify-between text-xs text-gray-400">
+                    <span>Day <span className="text-gray-500">({WEEKDAYS[getWeekday(serviceDate)]}, {services.join(' + ') || 'no service'})</span></span>
+                    <input
+                        type="date"
+                        value={`${serviceDate.slice(0, 4)}-${serviceDate.slice(4, 6)}-${serviceDate.slice(6, 8)}`}
+                        onChange={(e) => {
+                            if (e.target.value) onChange({ serviceDate: e.target.value.replace(/-/g, '') });
+                        }}
+                        className="bg-slate-800 rounded px-2 py-0.5 text-gray-200 outline-none [color-scheme:dark]"
+                    />
+                </label>
+                <label className="flex items-center justify-between text-xs text-gray-400">
+                    Depart at
+                    <input
+                        type="time"
+                        value={formatTime(departureTime)}
+                        onChange={(e) => {
+                            const [h, m] = e.target.value.split(':').map(Number);
+                            if (Number.isNaN(h)) return;
+                            onChange({ departureTime: h * 3600 + m * 60 });
+                        }}
+                        className="bg-slate-800 rounded px-2 py-0.5 text-gray-200 outline-none [color-scheme:dark]"
+                    />
+                </label>
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-2 space-y-1 text-xs">
+                {!origin && <div className="text-gray-400 italic">Choose a stop or pick a point to see what's in reach.</div>}
+                {isochrones && isochrones.bands.map(band => (
+                    <div key={band.minutes} className="flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-sm flex-shrink-0 opacity-80" style={{ backgroundColor: band.color }} />
+                        <span className="font-bold w-14">{band.minutes} min</span>
+                        <span className="text-gray-400">{band.stopIds.length} stop{band.stopIds.length === 1 ? '' : 's'} reached</span>
+                    </div>
+                ))}
+                <div className="pt-2 text-[10px] text-gray-500 italic">
+                    Buses from the timetable for the chosen day (waits and changes included), then up to {MAX_ACCESS_WALK} m on foot.
+                </div>
+            </div>
+        </div>
+    );
+}
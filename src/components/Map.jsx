@@ -1,44 +1,215 @@
-import React, { useEffect, useState, useMemo } from 'react';
-import { MapContainer, TileLayer, Polyline, CircleMarker, Popup, Tooltip, Marker } from 'react-leaflet';
-import L from 'leaflet';
+import React, { useEffect, useState, useMemo, useRef, useCallback } from 'react';
+import { MapContainer, TileLayer, Polyline, Polygon, CircleMarker, Circle, Popup, Tooltip, Marker, useMap, useMapEvents } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import { loadData, isServiceActive, timeToSeconds, getCurrentTimeSeconds, interpolatePositionOnShape, getNextArrival, getNextRouteTrip } from '../utils/gtfs';
+import { loadData, getZonedTime, getActiveServices, advanceClock, getWeekday, getShapeSegment, getNextArrival, getNextRouteTrip, getRouteDirections, formatTime, DEFAULT_TIMEZONE } from '../utils/gtfs';
+import { Route as RouteIcon, ListOrdered, BarChart3, LocateFixed, AlertTriangle, Upload, Bus, Radar } from 'lucide-react';
+import StopPanel from './StopPanel';
+import PlannerPanel from './PlannerPanel';
+import RouteStrip from './RouteStrip';
+import TripInspector from './TripInspector';
+import AnalyticsPanel from './AnalyticsPanel';
+import SearchBox from './SearchBox';
+import DataUpdateBanner from './DataUpdateBanner';
+import NearbyPanel from './NearbyPanel';
+import FleetPanel from './FleetPanel';
+import IsochronePanel from './IsochronePanel';
+import useSimulation from '../hooks/useSimulation';
+import useGeolocation from '../hooks/useGeolocation';
+import useDataUpdate from '../hooks/useDataUpdate';
+import { getBusIcon, fanOutBuses } from '../utils/busIcons';
+import { buildRouteTimetable, renderTimetableHTML } from '../utils/timetable';
+import { openHTML } from '../utils/download';
+import { buildTimetable, getAccessStops, MAX_ACCESS_WALK } from '../utils/planner';
+import { computeIsochrones } from '../utils/isochrone';
+import { loadScenarioIndex, loadScenario, parseScenario, buildScenarioUpdates, summariseUpdates } from '../utils/scenarios';
+import { getRealtimeUrls, fetchRealtimeFeed, mergeRealtimeTrips, isStale, REALTIME_POLL_INTERVAL, REALTIME_STALE_AFTER } from '../utils/realtime';
 
-const KotaBharuCenter = [6.1256, 102.2386];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const NEARBY_LIMIT = 6; // stops listed in Near Me
+const NO_UPDATES = {};
 
-export default function MapView() {
+// Helper: Marker key of a bus. Simulated buses are keyed by vehicle so one marker carries a block
+// through its trips and layovers; live ones share it through the trip they were matched to.
+const getBusKey = (trip) => `${trip.vehicle || trip.tripId}-${trip.source}`;
+
+// Helper: Marker key, position and icon for every bus, with overlapping buses fanned out
+function layoutBuses(trips, ghostSimulated, focusedRouteId) {
+    const buses = trips.map(trip => ({ key: getBusKey(trip), trip, position: trip.position }));
+    const offsets = fanOutBuses(buses);
+    return buses.map(bus => ({
+        ...bus,
+        icon: getBusIcon({
+            color: bus.trip.route.color,
+            bearing: bus.trip.bearing,
+            live: bus.trip.source === 'live',
+            // Ghost the simulated twin when comparing it against a live bus
+            ghosted: ghostSimulated && bus.trip.source !== 'live',
+            dimmed: focusedRouteId !== null && bus.trip.route.id !== focusedRouteId,
+            delay: bus.trip.delay,
+            cancelled: bus.trip.cancelled,
+            layover: bus.trip.status === 'layover',
+            offset: offsets[bus.key]
+        })
+    }));
+}
+
+// Fits the map to a set of shapes whenever they change (route focus)
+function FitToShapes({ shapes }) {
+    const map = useMap();
+    useEffect(() => {
+        if (shapes.length === 0) return;
+        map.fitBounds(shapes.flatMap(shape => shape.points), { padding: [40, 40] });
+    }, [map, shapes]);
+    return null;
+}
+
+// Forwards the start of a map drag (used to stop following a bus)
+function MapDragHandler({ onDragStart }) {
+    useMapEvents({
+        dragstart: onDragStart
+    });
+    return null;
+}
+
+// Brings a point into view when it appears or moves off screen (the user's location in Near Me)
+function KeepInView({ lat, lon }) {
+    const map = useMap();
+    useEffect(() => {
+        if (!map.getBounds().contains([lat, lon])) map.flyTo([lat, lon], Math.max(map.getZoom(), 15));
+    }, [map, lat, lon]);
+    return null;
+}
+
+// Forwards clicks on the map background (used to drop planner pins)
+function MapClickHandler({ onClick }) {
+    useMapEvents({
+        click: (e) => onClick(e.latlng)
+    });
+    return null;
+}
+
+// One city's feed (an entry of public/data/feeds.json). App remounts this per feed, so routes,
+// the legend, panels and the simulation never carry over from another city.
+export default function MapView({ feed }) {
     const [data, setData] = useState(null);
     const [error, setError] = useState(null);
 
-    // Default to current local time
-    const [currentTime, setCurrentTime] = useState(() => {
-        const now = new Date();
-        return now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
-    });
+    // Simulation clock: service date ("YYYYMMDD") plus seconds since midnight in the feed's timezone.
+    // Defaults to now (corrected once agency.json has loaded).
+    const [simClock, setSimClock] = useState(() => getZonedTime(new Date(), DEFAULT_TIMEZONE));
+    const { serviceDate: simDate, seconds: currentTime } = simClock;
+    const setCurrentTime = (seconds) => setSimClock(prev => ({ ...prev, seconds }));
     // Always playing, removed isPlaying state
     const [simSpeed, setSimSpeed] = useState(1); // 1x speed default
 
+    // GTFS-Realtime layer (only enabled when a feed URL is configured)
+    const [realtimeUrls] = useState(getRealtimeUrls);
+    const [realtimeFeed, setRealtimeFeed] = useState(null);
+    const [realtimeMode, setRealtimeMode] = useState('merge'); // 'off' | 'merge' | 'compare'
+
+    // Disruption scenario played over the timetable: bundled ones from public/scenarios or a local file
+    const [scenarioIndex, setScenarioIndex] = useState([]);
+    const [scenario, setScenario] = useState(null); // { id, name, description, events }
+    const [scenarioError, setScenarioError] = useState(null);
+
+    // Side panel: { type: 'stop', stopId } | { type: 'planner' } | { type: 'trip', tripId, busKey } | { type: 'analytics', stopId }
+    //   | { type: 'nearby' } | { type: 'fleet' } | { type: 'isochrone', origin, serviceDate, departureTime } | null
+    const [panel, setPanel] = useState(null);
+    const selectedStopId = panel?.type === 'stop' ? panel.stopId : null;
+    const selectedBusKey = panel?.type === 'trip' ? panel.busKey : null;
+
+    // Follow mode keeps the map centred on the inspected bus until the user drags the map
+    const mapRef = useRef(null);
+    const [following, setFollowing] = useState(false);
+    const followKey = following ? selectedBusKey : null;
+
+    // Journey planner state lives here so the map can draw and pick endpoints
+    const [plannerOrigin, setPlannerOrigin] = useState(null);
+    const [plannerDestination, setPlannerDestination] = useState(null);
+    const [pickingEndpoint, setPickingEndpoint] = useState(null); // 'origin' | 'destination' | null
+    const [selectedItinerary, setSelectedItinerary] = useState(null); // { index, itinerary }
+
+    // Near me: the device's location, or a dropped pin when location is unavailable or unwanted
+    const [nearbyPin, setNearbyPin] = useState(null);
+    const [pickingNearby, setPickingNearby] = useState(false);
+    const [nearbyRadius, setNearbyRadius] = useState(MAX_ACCESS_WALK);
+    const geolocation = useGeolocation(panel?.type === 'nearby' && !nearbyPin);
+    const nearbyLocation = nearbyPin || geolocation.position;
+    const nearbySource = nearbyPin ? 'pin' : geolocation.mocked ? 'mock' : 'gps';
+
+    // Reachability: picking its origin on the map (the rest of its settings live in the panel)
+    const [pickingIsochrone, setPickingIsochrone] = useState(false);
+    const openIsochrones = (origin) => setPanel({ type: 'isochrone', origin, serviceDate: simDate, departureTime: currentTime });
+
+    // Route focus mode, shareable as ?route=<routeId>
+    const [focusedRouteId, setFocusedRouteId] = useState(() => new URLSearchParams(window.location.search).get('route'));
+    const toggleRouteFocus = (routeId) => setFocusedRouteId(prev => (prev === routeId ? null : routeId));
+
+    const setEndpoint = (which, endpoint) => {
+        if (which === 'origin') setPlannerOrigin(endpoint);
+        else setPlannerDestination(endpoint);
+        setPickingEndpoint(null);
+        setSelectedItinerary(null);
+    };
+
     useEffect(() => {
-        loadData()
-            .then(setData)
+        // Start of the time-to-first-bus measure below
+        performance.clearMeasures('time-to-first-bus');
+        performance.mark('data-fetch-start');
+        loadData(feed.id)
+            .then(loaded => {
+                setData(loaded);
+                setSimClock(getZonedTime(new Date(), loaded.timezone));
+            })
             .catch(err => {
                 console.error("Failed to load GTFS data:", err);
                 setError(err.message);
             });
-    }, []);
+    }, [feed.id]);
+
+    // Offline state and newer processed data on the server (see public/sw.js)
+    const dataUpdate = useDataUpdate(feed.id, data?.version?.version);
+
+    useEffect(() => {
+        loadScenarioIndex(feed.id)
+            .then(setScenarioIndex)
+            .catch(err => console.warn("No bundled scenarios:", err));
+    }, [feed.id]);
+
+    const selectScenario = (id) => {
+        setScenarioError(null);
+        if (!id) {
+            setScenario(null);
+            return;
+        }
+        loadScenario(id)
+            .then(loaded => setScenario({ ...loaded, id }))
+            .catch(err => setScenarioError(err.message));
+    };
+    const loadScenarioFile = (file) => {
+        setScenarioError(null);
+        file.text()
+            .then(text => setScenario({ ...parseScenario(text), id: `file:${file.name}` }))
+            .catch(err => setScenarioError(err.message));
+    };
+
+    // Keep ?route= in step with the focused route without adding history entries
+    useEffect(() => {
+        const url = new URL(window.location.href);
+        if (focusedRouteId) url.searchParams.set('route', focusedRouteId);
+        else url.searchParams.delete('route');
+        window.history.replaceState(null, '', url);
+    }, [focusedRouteId]);
 
     // Timer loop for simulation
     useEffect(() => {
         const interval = setInterval(() => {
-            setCurrentTime(prev => {
-                const next = prev + simSpeed;
-                return next >= 86400 ? 0 : next; // Loop at midnight
-            });
+            setSimClock(prev => advanceClock(prev, simSpeed)); // Rolls over into the next service day
         }, 1000);
         return () => clearInterval(interval);
     }, [simSpeed]);
 
-    // Simulation Engine
+    // Route shapes to draw under the buses, one per shape so each direction has its own line
     const routeShapes = useMemo(() => {
         if (!data) return [];
         const shapes = [];
@@ -53,7 +224,9 @@ export default function MapView() {
                         shapes.push({
                             id: trip.shapeId,
                             points: data.shapes[trip.shapeId],
-                            route: route
+                            route: route,
+                            directionId: trip.directionId,
+                            headsign: trip.headsign
                         });
                         processedShapes.add(trip.shapeId);
                     }
@@ -63,74 +236,168 @@ export default function MapView() {
         return shapes;
     }, [data]);
 
-    const activeTrips = useMemo(() => {
-        if (!data) return [];
+    // routeId -> [{ directionId, headsign }] for the legend
+    const routeDirections = useMemo(() => {
+        if (!data) return {};
+        return Object.fromEntries(data.routes.map(route => [route.id, getRouteDirections(route.id, data.schedule)]));
+    }, [data]);
+    // Ignore a ?route= that doesn't exist in this feed
+    const focusedRoute = data?.routes.find(r => r.id === focusedRouteId) || null;
+    const activeFocusId = focusedRoute ? focusedRoute.id : null;
+    const focusedShapes = useMemo(() => (
+        routeShapes.filter(shape => shape.route.id === activeFocusId)
+    ), [routeShapes, activeFocusId]);
+    const focusedStopIds = useMemo(() => {
+        if (!data || !activeFocusId) return null;
+        return new Set(data.schedule[activeFocusId].flatMap(trip => trip.stopIds));
+    }, [data, activeFocusId]);
 
-        const now = new Date();
-        const seconds = currentTime;
-        const active = [];
+    const nearbyStops = useMemo(() => (
+        data && nearbyLocation ? getAccessStops(nearbyLocation, data.stops, nearbyRadius).slice(0, NEARBY_LIMIT) : []
+    ), [data, nearbyLocation, nearbyRadius]);
 
-        Object.keys(data.schedule).forEach(routeId => {
-            const routeTrips = data.schedule[routeId];
-            routeTrips.forEach(trip => {
-                // Check if trip runs today
-                if (!isServiceActive(trip.serviceId, data.calendar, now)) return;
-
-                const firstStop = trip.stops[0];
-                const lastStop = trip.stops[trip.stops.length - 1];
-
-                const startSec = timeToSeconds(firstStop.departure);
-                const endSec = timeToSeconds(lastStop.arrival);
-
-                if (seconds >= startSec && seconds <= endSec) {
-                    let currentSegment = null;
-                    for (let i = 0; i < trip.stops.length - 1; i++) {
-                        const s1 = trip.stops[i];
-                        const s2 = trip.stops[i + 1];
-                        const t1 = timeToSeconds(s1.departure);
-                        const t2 = timeToSeconds(s2.arrival);
-
-                        if (seconds >= t1 && seconds <= t2) {
-                            const progress = (seconds - t1) / (t2 - t1);
-                            currentSegment = { from: s1, to: s2, progress, type: 'moving' };
-                            break;
-                        } else if (seconds >= timeToSeconds(s1.arrival) && seconds < t1) {
-                            currentSegment = { stop: s1, type: 'dwelling' };
-                            break;
-                        }
-                    }
+    // Reachability bands, the timetable is only rebuilt when the panel's service day changes
+    const isochroneDate = panel?.type === 'isochrone' ? panel.serviceDate : null;
+    const isochroneTimetable = useMemo(() => (
+        data && isochroneDate ? buildTimetable(data, isochroneDate) : null
+    ), [data, isochroneDate]);
+    const isochrones = useMemo(() => {
+        if (!isochroneTimetable || !panel.origin) return null;
+        return computeIsochrones(isochroneTimetable, data, panel.origin, panel.departureTime);
+    }, [isochroneTimetable, data, panel]);
 
-                    if (currentSegment) {
-                        let position = null;
-                        if (currentSegment.type === 'dwelling') {
-                            const stop = data.stops[currentSegment.stop.stopId];
-                            if (stop) position = [stop.lat, stop.lon];
-                        } else {
-                            const stop1 = data.stops[currentSegment.from.stopId];
-                            const stop2 = data.stops[currentSegment.to.stopId];
-
-                            if (stop1 && stop2) {
-                                // Use shape-based interpolation if shape is available
-                                const shape = data.shapes[trip.shapeId];
-                                position = interpolatePositionOnShape(shape, stop1, stop2, currentSegment.progress);
-                            }
-                        }
+    // Legend row under the pointer ("routeId|directionId"), its shape is highlighted on the map
+    const [hoveredDirection, setHoveredDirection] = useState(null);
 
-                        if (position) {
-                            active.push({
-                                ...trip,
-                                route: data.routes.find(r => r.id === routeId),
-                                position,
-                                status: currentSegment.type
-                            });
-                        }
-                    }
-                }
+    // tripId -> { trip, route } for matching realtime entities against the schedule
+    const tripIndex = useMemo(() => {
+        if (!data) return {};
+        const index = {};
+        Object.keys(data.schedule).forEach(routeId => {
+            const route = data.routes.find(r => r.id === routeId);
+            data.schedule[routeId].forEach(trip => {
+                index[trip.tripId] = { trip, route };
             });
         });
-        return active;
+        return index;
+    }, [data]);
+
+    // Poll the realtime feed, keeping the last good snapshot on failure so staleness kicks in naturally
+    useEffect(() => {
+        if (realtimeUrls.length === 0 || realtimeMode === 'off') return;
+
+        let cancelled = false;
+        const poll = () => {
+            fetchRealtimeFeed(realtimeUrls, tripIndex)
+                .then(feed => { if (!cancelled) setRealtimeFeed(feed); })
+                .catch(err => console.warn("Failed to fetch realtime feed:", err));
+        };
+        poll();
+        const interval = setInterval(poll, REALTIME_POLL_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+        };
+    }, [realtimeUrls, realtimeMode, tripIndex]);
+
+    // tripId -> position in its vehicle block, to tell which way a bus has moved through its duties
+    const blockPositions = useMemo(() => {
+        const positions = {};
+        data?.blocks.forEach(block => block.trips.forEach((tripId, i) => { positions[tripId] = i; }));
+        return positions;
+    }, [data]);
+
+    // Realtime data only makes sense while the simulation clock is close to the wall clock
+    const wallClock = getZonedTime(new Date(), data?.timezone);
+    const realtimeActive = realtimeFeed !== null
+        && realtimeMode !== 'off'
+        && !isStale(realtimeFeed.timestamp)
+        && simDate === wallClock.serviceDate
+        && Math.abs(currentTime - wallClock.seconds) < REALTIME_STALE_AFTER;
+
+    // Scenario updates win over the live feed's, a scenario is something the user switched on
+    const scenarioUpdates = useMemo(() => (
+        data && scenario ? buildScenarioUpdates(scenario, data.schedule) : NO_UPDATES
+    ), [data, scenario]);
+    const scenarioSummary = useMemo(() => summariseUpdates(scenarioUpdates), [scenarioUpdates]);
+    const tripUpdates = useMemo(() => {
+        if (!realtimeActive) return scenarioUpdates;
+        return { ...realtimeFeed.tripUpdates, ...scenarioUpdates };
+    }, [realtimeActive, realtimeFeed, scenarioUpdates]);
+
+    // Between clock ticks the worker is sampled every animation frame; those positions are applied
+    // straight to the Leaflet markers so React only re-renders once per tick
+    const markerRefs = useRef({});
+    const busFrameRef = useRef({ activeTrips: [], ghostSimulated: false, focusedRouteId: null, followKey: null });
+    const handleFrame = useCallback((frameTrips) => {
+        const { activeTrips, ghostSimulated, focusedRouteId, followKey } = busFrameRef.current;
+        const frameById = {};
+        frameTrips.forEach(trip => { frameById[trip.tripId] = trip; });
+
+        const trips = activeTrips.map(trip => {
+            const frame = trip.source === 'simulated' && frameById[trip.tripId];
+            return frame ? { ...trip, position: frame.position, bearing: frame.bearing } : trip;
+        });
+        layoutBuses(trips, ghostSimulated, focusedRouteId).forEach(({ key, position, icon }) => {
+            const marker = markerRefs.current[key];
+            if (!marker) return;
+            marker.setLatLng(position);
+            if (marker.options.icon !== icon) marker.setIcon(icon);
+            if (key === followKey) mapRef.current?.panTo(position, { animate: false });
+        });
+    }, []);
 
-    }, [currentTime, data]);
+    // Positions come from the simulation worker; attach route objects here for rendering
+    const engineTrips = useSimulation(data, simDate, currentTime, {
+        speed: simSpeed,
+        tripUpdates,
+        includeCancelled: true,
+        includeLayovers: true,
+        onFrame: handleFrame
+    });
+    const simulatedTrips = useMemo(() => (
+        engineTrips
+            .filter(trip => tripIndex[trip.tripId])
+            .map(trip => ({ ...trip, route: tripIndex[trip.tripId].route }))
+    ), [engineTrips, tripIndex]);
+
+    const activeTrips = useMemo(() => (
+        mergeRealtimeTrips(simulatedTrips, realtimeActive ? realtimeFeed : null, tripIndex, realtimeMode)
+    ), [simulatedTrips, realtimeActive, realtimeFeed, tripIndex, realtimeMode]);
+
+    // Time to first bus, from the data fetch to the first render with a bus on the map, as a performance measure
+    // for DevTools and RUM to read (scripts/benchmark-schedule.js measures the same path under throttling)
+    useEffect(() => {
+        if (activeTrips.length === 0 || performance.getEntriesByName('time-to-first-bus', 'measure').length > 0) return;
+        performance.measure('time-to-first-bus', 'data-fetch-start');
+    }, [activeTrips]);
+
+    const ghostSimulated = realtimeMode === 'compare' && realtimeActive;
+    const busMarkers = useMemo(() => (
+        layoutBuses(activeTrips, ghostSimulated, activeFocusId)
+    ), [activeTrips, ghostSimulated, activeFocusId]);
+    useEffect(() => {
+        busFrameRef.current = { activeTrips, ghostSimulated, focusedRouteId: activeFocusId, followKey };
+    }, [activeTrips, ghostSimulated, activeFocusId, followKey]);
+
+    // Also recentre on clock ticks, which covers jumps of the time slider
+    useEffect(() => {
+        const followed = followKey && busMarkers.find(bus => bus.key === followKey);
+        if (followed) mapRef.current?.panTo(followed.position, { animate: false });
+    }, [busMarkers, followKey]);
+
+    // The inspector stays with the bus as it moves on to later trips of its block, but a trip picked
+    // from the fleet view before the bus gets to it stays on that trip (not on the road yet)
+    const busOnKey = selectedBusKey ? activeTrips.find(trip => getBusKey(trip) === selectedBusKey) || null : null;
+    const movedOn = busOnKey && panel.tripId !== busOnKey.tripId
+        && (blockPositions[busOnKey.tripId] ?? -1) > (blockPositions[panel.tripId] ?? Infinity);
+    const inspectedBus = busOnKey && (busOnKey.tripId === panel.tripId || movedOn) ? busOnKey : null;
+    const inspectedTripId = inspectedBus?.tripId || (panel?.type === 'trip' ? panel.tripId : null);
+    const openTripInspector = (trip) => {
+        markerRefs.current[getBusKey(trip)]?.closePopup();
+        setPanel({ type: 'trip', tripId: trip.tripId, busKey: getBusKey(trip) });
+        setFollowing(false);
+    };
 
     if (error) return (
         <div className="flex items-center justify-center h-screen w-full bg-red-900 text-white p-4">
@@ -144,23 +411,33 @@ export default function MapView() {
 
     if (!data) return <div className="flex items-center justify-center h-screen w-full text-white bg-slate-900">Loading Transport Data...</div>;
 
+    // Open on the feed's configured centre, or fit all of its stops
+    const mapView = feed.center
+        ? { center: feed.center, zoom: feed.zoom }
+        : { bounds: feed.bounds, boundsOptions: { padding: [40, 40] } };
+
     return (
         <div className="w-full h-full relative isolate">
             <div className="absolute inset-0 z-0">
                 <MapContainer
-                    center={KotaBharuCenter}
-                    zoom={13}
+                    ref={mapRef}
+                    {...mapView}
                     scrollWheelZoom={true}
                     style={{ height: '100%', width: '100%' }}
                 >
+                    {/* Tiles are requested with CORS so the service worker can keep them for offline use */}
                     <TileLayer
                         attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
                         url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
+                        crossOrigin="anonymous"
                     />
 
                     {/* Draw Bus Stops */}
-                    {data && Object.values(data.stops).map(stop => {
-                        const nextBus = getNextArrival(stop.stopId, currentTime, data.stopSchedules, data.calendar);
+                    {data && Object.entries(data.stops).map(([stopId, stop]) => {
+                        // In focus mode only the focused route's stops are drawn
+                        if (focusedStopIds && !focusedStopIds.has(stopId)) return null;
+                        const nextBus = getNextArrival(stopId, currentTime, data.stopSchedules, data.calendar, simDate, tripUpdates);
+                        const isSelected = stopId === selectedStopId;
                         // Calculate time diff in minutes
                         let minsAway = null;
                         if (nextBus) {
@@ -169,15 +446,25 @@ export default function MapView() {
 
                         return (
                             <CircleMarker
-                                key={stop.stopId || stop.name}
+                                key={stopId}
                                 center={[stop.lat, stop.lon]}
-                                radius={5}
+                                radius={isSelected ? 8 : 5}
                                 pathOptions={{
-                                    fillColor: '#ffffff',
+                                    fillColor: isSelected ? '#3b82f6' : '#ffffff',
                                     color: '#3b82f6', // Blue border
                                     weight: 2,
                                     fillOpacity: 0.9
                                 }}
+                                bubblingMouseEvents={false}
+                                eventHandlers={{
+                                    click: () => {
+                                        if (pickingEndpoint) setEndpoint(pickingEndpoint, { stopId });
+                                        else if (pickingIsochrone) {
+                                            setPanel({ ...panel, origin: { stopId } });
+                                            setPickingIsochrone(false);
+                                        } else setPanel({ type: 'stop', stopId });
+                                    }
+                                }}
                             >
                                 <Tooltip direction="top" offset={[0, -5]} opacity={0.95}>
                                     <div className="min-w-[120px]">
@@ -185,7 +472,7 @@ export default function MapView() {
                                         {nextBus ? (
                                             <div className="text-xs">
                                                 <div className="font-semibold text-blue-600">Next Bus: {nextBus.route.shortName}</div>
-                                                <div className="text-gray-600">{nextBus.headsign}</div>
+                                                <div className="text-gray-600">to {nextBus.headsign}</div>
                                                 <div className="mt-1 font-mono bg-gray-100 px-1 rounded w-fit">
                                                     {minsAway !== null && minsAway <= 0 ? 'Due' : `${minsAway} min`}
                                                 </div>
@@ -200,54 +487,178 @@ export default function MapView() {
                     })}
 
                     {/* Draw Static Route Network */}
-                    {routeShapes.map((shape, idx) => (
-                        <Polyline
-                            key={`shape-${shape.id}-${idx}`}
-                            positions={shape.points}
-                            pathOptions={{
-                                color: shape.route.color,
-                                weight: 3,
-                                opacity: 0.6
-                            }}
-                        >
-                            <Tooltip sticky>
-                                <div className="text-xs">
-                                    <span className="font-bold">{shape.route.shortName}</span>: {shape.route.longName}
-                                </div>
-                            </Tooltip>
-                        </Polyline>
+                    {routeShapes.map((shape, idx) => {
+                        const highlighted = hoveredDirection === `${shape.route.id}|${shape.directionId}`;
+                        const focused = shape.route.id === activeFocusId;
+                        let opacity = 0.6;
+                        if (activeFocusId && !focused) opacity = 0.1;
+                        else if (hoveredDirection && !highlighted) opacity = 0.2;
+                        else if (highlighted || focused) opacity = 0.95;
+                        return (
+                            <Polyline
+                                key={`shape-${shape.id}-${idx}`}
+                                positions={shape.points}
+                                pathOptions={{
+                                    color: shape.route.color,
+                                    weight: highlighted ? 6 : focused ? 5 : 3,
+                                    opacity
+                                }}
+                                eventHandlers={{
+                                    // While picking planner endpoints or a reachability origin the click belongs to the map
+                                    click: () => { if (!pickingEndpoint && !pickingIsochrone) toggleRouteFocus(shape.route.id); }
+                                }}
+                            >
+                                <Tooltip sticky>
+                                    <div className="text-xs">
+                                        <span className="font-bold">{shape.route.shortName}</span> to {shape.headsign}
+                                        <div className="text-gray-500">{shape.route.longName}</div>
+                                    </div>
+                                </Tooltip>
+                            </Polyline>
+                        );
+                    })}
+
+                    <FitToShapes shapes={focusedShapes} />
+                    {following && <MapDragHandler onDragStart={() => setFollowing(false)} />}
+
+                    {pickingEndpoint && (
+                        <MapClickHandler onClick={({ lat, lng }) => setEndpoint(pickingEndpoint, { lat, lon: lng })} />
+                    )}
+
+                    {/* Near Me: search radius, your position and walking lines to the closest stops */}
+                    {panel?.type === 'nearby' && nearbyLocation && (
+                        <>
+                            <KeepInView lat={nearbyLocation.lat} lon={nearbyLocation.lon} />
+                            <Circle
+                                center={[nearbyLocation.lat, nearbyLocation.lon]}
+                                radius={nearbyRadius}
+                                pathOptions={{ color: '#3b82f6', weight: 1, fillOpacity: 0.08 }}
+                                interactive={false}
+                            />
+                            {nearbyStops.map(({ stopId }) => (
+                                <Polyline
+                                    key={`walk-${stopId}`}
+                                    positions={[[nearbyLocation.lat, nearbyLocation.lon], [data.stops[stopId].lat, data.stops[stopId].lon]]}
+                                    pathOptions={{ color: '#ffffff', weight: 2, dashArray: '4 6', opacity: 0.8 }}
+                                    interactive={false}
+                                />
+                            ))}
+                            <CircleMarker
+                                center={[nearbyLocation.lat, nearbyLocation.lon]}
+                                radius={7}
+                                pathOptions={{ color: '#ffffff', weight: 2, fillColor: '#3b82f6', fillOpacity: 1 }}
+                            >
+                                <Tooltip>{nearbySource === 'pin' ? 'Dropped pin' : 'You are here'}</Tooltip>
+                            </CircleMarker>
+                        </>
+                    )}
+                    {panel?.type === 'nearby' && pickingNearby && (
+                        <MapClickHandler onClick={({ lat, lng }) => {
+                            setNearbyPin({ lat, lon: lng });
+                            setPickingNearby(false);
+                        }} />
+                    )}
+
+                    {/* Reachability bands, widest first so the nearer ones sit on top */}
+                    {panel?.type === 'isochrone' && pickingIsochrone && (
+                        <MapClickHandler onClick={({ lat, lng }) => {
+                            setPanel({ ...panel, origin: { lat, lon: lng } });
+                            setPickingIsochrone(false);
+                        }} />
+                    )}
+                    {isochrones && [...isochrones.bands].reverse().map(band => (
+                        <Polygon
+                            key={`isochrone-${band.minutes}`}
+                            positions={band.rings.map(ring => [ring])}
+                            pathOptions={{ stroke: false, fillColor: band.color, fillOpacity: 0.2, fillRule: 'nonzero' }}
+                            interactive={false}
+                        />
                     ))}
+                    {isochrones && (
+                        <CircleMarker
+                            center={panel.origin.stopId
+                                ? [data.stops[panel.origin.stopId].lat, data.stops[panel.origin.stopId].lon]
+                                : [panel.origin.lat, panel.origin.lon]}
+                            radius={9}
+                            pathOptions={{ color: '#ffffff', weight: 3, fillColor: '#22c55e', fillOpacity: 1 }}
+                        />
+                    )}
 
-                    {/* Draw Active Buses */}
-                    {activeTrips.map((trip, idx) => {
-                        const busIcon = new L.DivIcon({
-                            className: 'custom-bus-icon',
-                            html: `<div style="background-color: ${trip.route.color}; boarder: 2px solid white; border-radius: 4px; padding: 2px; width: 24px; height: 24px; display: flex; align-items: center; justify-content: center; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">
-                                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                                        <path d="M8 6v6"/>
-                                        <path d="M15 6v6"/>
-                                        <path d="M2 12h19.6"/>
-                                        <path d="M18 18h3s.5-1.7.8-2.8c.1-.4.2-.8.2-1.2 0-.4-.1-.8-.2-1.2l-1.4-5C20.1 6.8 19.1 6 18 6H4a2 2 0 0 0-2 2v10h3"/>
-                                        <circle cx="7" cy="18" r="2"/>
-                                        <path d="M9 18h5"/>
-                                        <circle cx="16" cy="18" r="2"/>
-                                    </svg>
-                                   </div>`,
-                            iconSize: [24, 24],
-                            iconAnchor: [12, 12]
-                        });
+                    {/* Draw Planned Journey */}
+                    {panel?.type === 'planner' && selectedItinerary && selectedItinerary.itinerary.legs.map((leg, idx) => (
+                        leg.type === 'ride' ? (
+                            <Polyline
+                                key={`leg-${idx}`}
+                                positions={getShapeSegment(data.shapes[leg.shapeId], data.stops[leg.fromStopId], data.stops[leg.toStopId])}
+                                pathOptions={{ color: leg.route.color, weight: 7, opacity: 0.95 }}
+                            />
+                        ) : (
+                            <Polyline
+                                key={`leg-${idx}`}
+                                positions={[leg.from, leg.to]}
+                                pathOptions={{ color: '#ffffff', weight: 3, dashArray: '4 6', opacity: 0.9 }}
+                            />
+                        )
+                    ))}
+                    {panel?.type === 'planner' && [plannerOrigin, plannerDestination].map((endpoint, idx) => {
+                        if (!endpoint) return null;
+                        const point = endpoint.stopId
+                            ? [data.stops[endpoint.stopId].lat, data.stops[endpoint.stopId].lon]
+                            : [endpoint.lat, endpoint.lon];
+                        return (
+                            <CircleMarker
+                                key={`endpoint-${idx}`}
+                                center={point}
+                                radius={9}
+                                pathOptions={{ color: '#ffffff', weight: 3, fillColor: idx === 0 ? '#22c55e' : '#ef4444', fillOpacity: 1 }}
+                            />
+                        );
+                    })}
 
+                    {/* Draw Active Buses */}
+                    {busMarkers.map(({ key, trip, position, icon }) => {
+                        const isLive = trip.source === 'live';
                         return (
                             <Marker
-                                key={`${trip.tripId}-${idx}`}
-                                position={trip.position}
-                                icon={busIcon}
+                                key={key}
+                                ref={(marker) => {
+                                    if (marker) markerRefs.current[key] = marker;
+                                    else delete markerRefs.current[key];
+                                }}
+                                position={position}
+                                icon={icon}
                             >
                                 <Popup>
                                     <div className="p-1">
                                         <div className="text-sm font-bold text-gray-900">{trip.route.shortName}</div>
-                                        <div className="text-xs text-gray-600 truncate max-w-[150px]">{trip.headsign}</div>
-                                        <div className="text-xs mt-1 px-1.5 py-0.5 rounded-full bg-blue-100 text-blue-800 inline-block capitalize">{trip.status}</div>
+                                        <div className="text-xs text-gray-600 truncate max-w-[150px]">to {trip.headsign}</div>
+                                        <div className="flex gap-1 mt-1">
+                                            <div className="text-xs px-1.5 py-0.5 rounded-full bg-blue-100 text-blue-800 inline-block capitalize">{trip.status}</div>
+                                            {isLive ? (
+                                                <div className="text-xs px-1.5 py-0.5 rounded-full bg-green-100 text-green-800 inline-block">Live</div>
+                                            ) : (
+                                                <div className="text-xs px-1.5 py-0.5 rounded-full bg-gray-100 text-gray-600 inline-block">Simulated</div>
+                                            )}
+                                        </div>
+                                        {trip.status === 'layover' && (
+                                            <div className="text-[10px] text-gray-600 mt-1">Layover until {formatTime(trip.layoverEnd - trip.offset)}</div>
+                                        )}
+                                        {trip.cancelled ? (
+                                            <div className="text-[10px] text-red-600 mt-1">Cancelled, shown where it was scheduled</div>
+                                        ) : trip.delay > 0 && (
+                                            <div className="text-[10px] text-amber-600 mt-1">Running {Math.round(trip.delay / 60)} min late</div>
+                                        )}
+                                        {tripUpdates[trip.tripId]?.reasons?.map(reason => (
+                                            <div key={reason} className="text-[10px] text-gray-500">{reason}</div>
+                                        ))}
+                                        {tripIndex[trip.tripId] && (
+                                            <button
+                                                onClick={() => openTripInspector(trip)}
+                                                className="mt-2 flex items-center gap-1 text-xs font-semibold text-blue-600 hover:text-blue-800 bg-transparent p-0"
+                                            >
+                                                <ListOrdered size={12} /> Inspect trip
+                                            </button>
+                                        )}
                                     </div>
                                 </Popup>
                             </Marker>
@@ -256,17 +667,195 @@ export default function MapView() {
                 </MapContainer>
             </div>
 
+            <DataUpdateBanner online={dataUpdate.online} updateAvailable={dataUpdate.updateAvailable} />
+
+            {/* Toolbar */}
+            <div className="fixed top-4 left-4 z-[10000] flex gap-2">
+                <SearchBox
+                    data={data}
+                    onSelectStop={(stopId) => {
+                        // Leave route focus if it would hide the stop
+                        if (focusedStopIds && !focusedStopIds.has(stopId)) setFocusedRouteId(null);
+                        const stop = data.stops[stopId];
+                        mapRef.current?.flyTo([stop.lat, stop.lon], Math.max(mapRef.current.getZoom(), 16));
+                        setPanel({ type: 'stop', stopId });
+                    }}
+                    onSelectRoute={setFocusedRouteId}
+                />
+                <button
+                    onClick={() => setPanel(panel?.type === 'planner' ? null : { type: 'planner' })}
+                    className={`glass-panel flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-bold ${panel?.type === 'planner' ? 'text-blue-300' : 'text-white'}`}
+                >
+                    <RouteIcon size={14} /> Plan Trip
+                </button>
+                <button
+                    onClick={() => setPanel(panel?.type === 'analytics' ? null : { type: 'analytics', stopId: selectedStopId })}
+                    className={`glass-panel flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-bold ${panel?.type === 'analytics' ? 'text-blue-300' : 'text-white'}`}
+                >
+                    <BarChart3 size={14} /> Analytics
+                </button>
+                <button
+                    onClick={() => setPanel(panel?.type === 'nearby' ? null : { type: 'nearby' })}
+                    className={`glass-panel flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-bold ${panel?.type === 'nearby' ? 'text-blue-300' : 'text-white'}`}
+                >
+                    <LocateFixed size={14} /> Near Me
+                </button>
+                <button
+                    onClick={() => setPanel(panel?.type === 'fleet' ? null : { type: 'fleet' })}
+                    className={`glass-panel flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-bold ${panel?.type === 'fleet' ? 'text-blue-300' : 'text-white'}`}
+                >
+                    <Bus size={14} /> Fleet
+                </button>
+                <button
+                    onClick={() => {
+                        if (panel?.type === 'isochrone') setPanel(null);
+                        else openIsochrones(selectedStopId ? { stopId: selectedStopId } : null);
+                        setPickingIsochrone(false);
+                    }}
+                    className={`glass-panel flex items-center gap-1 px-3 py-2 rounded-lg text-xs font-bold ${panel?.type === 'isochrone' ? 'text-blue-300' : 'text-white'}`}
+                >
+                    <Radar size={14} /> Reach
+                </button>
+            </div>
+
+            {/* Stop Departure Board */}
+            {selectedStopId && data.stops[selectedStopId] && (
+                <StopPanel
+                    stopId={selectedStopId}
+                    stop={data.stops[selectedStopId]}
+                    data={data}
+                    currentTime={currentTime}
+                    simDate={simDate}
+                    tripUpdates={tripUpdates}
+                    onPlanFrom={() => {
+                        setEndpoint('origin', { stopId: selectedStopId });
+                        setPanel({ type: 'planner' });
+                    }}
+                    onReachFrom={() => openIsochrones({ stopId: selectedStopId })}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {/* Trip Inspector */}
+            {panel?.type === 'trip' && tripIndex[inspectedTripId] && (
+                <TripInspector
+                    key={inspectedTripId}
+                    trip={tripIndex[inspectedTripId].trip}
+                    route={tripIndex[inspectedTripId].route}
+                    state={inspectedBus}
+                    update={tripUpdates[inspectedTripId]}
+                    currentTime={currentTime}
+                    stops={data.stops}
+                    fares={data.fares}
+                    following={following && inspectedBus !== null}
+                    onToggleFollow={() => setFollowing(!following)}
+                    onSelectStop={(stopId) => setPanel({ type: 'stop', stopId })}
+                    onClose={() => {
+                        setPanel(null);
+                        setFollowing(false);
+                    }}
+                />
+            )}
+
+            {/* Service Analytics */}
+            {panel?.type === 'analytics' && (
+                <AnalyticsPanel
+                    data={data}
+                    simDate={simDate}
+                    initialStopId={panel.stopId}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {/* Fleet Duties */}
+            {panel?.type === 'fleet' && (
+                <FleetPanel
+                    data={data}
+                    tripIndex={tripIndex}
+                    simDate={simDate}
+                    currentTime={currentTime}
+                    onSelectTrip={(tripId, blockId) => {
+                        setPanel({ type: 'trip', tripId, busKey: `${blockId}-simulated` });
+                        setFollowing(false);
+                    }}
+                    onClose={() => setPanel(null)}
+                />
+            )}
+
+            {/* Reachability */}
+            {panel?.type === 'isochrone' && (
+                <IsochronePanel
+                    data={data}
+                    origin={panel.origin}
+                    serviceDate={panel.serviceDate}
+                    departureTime={panel.departureTime}
+                    isochrones={isochrones}
+                    onChange={(changes) => setPanel({ ...panel, ...changes })}
+                    picking={pickingIsochrone}
+                    onPick={setPickingIsochrone}
+                    onClose={() => {
+                        setPanel(null);
+                        setPickingIsochrone(false);
+                    }}
+                />
+            )}
+
+            {/* Nearby Stops */}
+            {panel?.type === 'nearby' && (
+                <NearbyPanel
+                    data={data}
+                    simDate={simDate}
+                    currentTime={currentTime}
+                    tripUpdates={tripUpdates}
+                    location={nearbyLocation}
+                    source={nearbySource}
+                    error={geolocation.error}
+                    nearbyStops={nearbyStops}
+                    radius={nearbyRadius}
+                    onRadiusChange={setNearbyRadius}
+                    picking={pickingNearby}
+                    onPick={setPickingNearby}
+                    onUseDevice={() => setNearbyPin(null)}
+                    onSelectStop={(stopId) => setPanel({ type: 'stop', stopId })}
+                    onClose={() => {
+                        setPanel(null);
+                        setPickingNearby(false);
+                    }}
+                />
+            )}
+
+            {/* Journey Planner */}
+            {panel?.type === 'planner' && (
+                <PlannerPanel
+                    data={data}
+                    simDate={simDate}
+                    currentTime={currentTime}
+                    origin={plannerOrigin}
+                    destination={plannerDestination}
+                    onOriginChange={(endpoint) => setEndpoint('origin', endpoint)}
+                    onDestinationChange={(endpoint) => setEndpoint('destination', endpoint)}
+                    picking={pickingEndpoint}
+                    onPick={setPickingEndpoint}
+                    selectedIndex={selectedItinerary?.index ?? null}
+                    onSelectItinerary={(index, itinerary) => setSelectedItinerary(index === null ? null : { index, itinerary })}
+                    onClose={() => {
+                        setPanel(null);
+                        setPickingEndpoint(null);
+                    }}
+                />
+            )}
+
             {/* Simulation Controls Overlay */}
             <div className="fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-slate-900 text-white p-4 rounded-xl shadow-2xl z-[9999] w-[90%] max-w-md border border-slate-700">
                 <div className="flex items-center justify-between mb-2">
                     <span className="text-sm font-mono text-blue-400">
                         {new Date(currentTime * 1000).toISOString().substr(11, 8)}
+                        <span className="ml-2 text-[10px] text-gray-500">{data.timezone}</span>
                     </span>
                     <div className="flex gap-2">
                         <button
                             onClick={() => {
-                                const now = new Date();
-                                setCurrentTime(now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds());
+                                setSimClock(getZonedTime(new Date(), data.timezone));
                                 setSimSpeed(1); // Reset speed to normal
                             }}
                             className="px-3 py-1 rounded-md text-xs font-bold bg-blue-500/20 text-blue-400 border border-blue-500/30 hover:bg-blue-500/30 transition-colors"
@@ -285,10 +874,88 @@ export default function MapView() {
                         </select>
                     </div>
                 </div>
+                <div className="flex items-center justify-between mb-2 text-[10px] font-mono">
+                    <label className="flex items-center gap-2 text-gray-400">
+                        <span>{WEEKDAYS[getWeekday(simDate)]}</span>
+                        <input
+                            type="date"
+                            value={`${simDate.slice(0, 4)}-${simDate.slice(4, 6)}-${simDate.slice(6, 8)}`}
+                            onChange={(e) => {
+                                if (e.target.value) setSimClock(prev => ({ ...prev, serviceDate: e.target.value.replace(/-/g, '') }));
+                            }}
+                            className="bg-slate-800 border-none text-[10px] rounded px-2 py-0.5 outline-none text-gray-200 [color-scheme:dark]"
+                        />
+                    </label>
+                    <span className="text-gray-500">
+                        {getActiveServices(data.calendar, simDate).join(' + ') || 'No service'}
+                    </span>
+                </div>
+                <div className="flex items-center justify-between gap-2 mb-2 text-[10px] font-mono">
+                    <span className={`flex items-center gap-1 ${scenario ? 'text-amber-300' : 'text-gray-400'}`}>
+                        <AlertTriangle size={12} /> Scenario
+                    </span>
+                    <div className="flex items-center gap-1 min-w-0">
+                        <select
+                            value={scenario?.id || ''}
+                            onChange={(e) => selectScenario(e.target.value)}
+                            className="bg-slate-800 border-none text-[10px] rounded px-2 outline-none min-w-0"
+                        >
+                            <option value="">None (on schedule)</option>
+                            {scenarioIndex.map(({ id, name }) => (
+                                <option key={id} value={id}>{name}</option>
+                            ))}
+                            {scenario?.id.startsWith('file:') && <option value={scenario.id}>{scenario.name}</option>}
+                        </select>
+                        <label className="cursor-pointer text-gray-400 hover:text-white" title="Load a scenario JSON file">
+                            <Upload size={12} />
+                            <input
+                                type="file"
+                                accept=".json,application/json"
+                                className="hidden"
+                                onChange={(e) => {
+                                    if (e.target.files[0]) loadScenarioFile(e.target.files[0]);
+                                    e.target.value = '';
+                                }}
+                            />
+                        </label>
+                    </div>
+                </div>
+                {scenarioError && <div className="text-[10px] text-red-400 mb-2">{scenarioError}</div>}
+                {scenario && (
+                    <div className="text-[10px] text-gray-400 mb-2">
+                        {scenario.description && <div>{scenario.description}</div>}
+                        <div className="text-amber-300">
+                            {scenarioSummary.delayed} trips delayed · {scenarioSummary.cancelled} cancelled · {scenarioSummary.skippedCalls} stop calls skipped
+                        </div>
+                    </div>
+                )}
+                {realtimeUrls.length > 0 && (
+                    <div className="flex items-center justify-between mb-2 text-[10px] font-mono">
+                        <span className="flex items-center gap-1">
+                            <span className={`w-1.5 h-1.5 rounded-full ${realtimeActive ? 'bg-green-500' : 'bg-gray-500'}`}></span>
+                            <span className={realtimeActive ? 'text-green-400' : 'text-gray-400'}>
+                                {realtimeMode === 'off'
+                                    ? 'Realtime off'
+                                    : realtimeActive
+                                        ? `Live feed (${Object.keys(realtimeFeed.vehicles).length} vehicles)`
+                                        : 'Live feed stale, simulating'}
+                            </span>
+                        </span>
+                        <select
+                            value={realtimeMode}
+                            onChange={(e) => setRealtimeMode(e.target.value)}
+                            className="bg-slate-800 border-none text-[10px] rounded px-2 outline-none"
+                        >
+                            <option value="merge">Live replaces sim</option>
+                            <option value="compare">Live + sim</option>
+                            <option value="off">Sim only</option>
+                        </select>
+                    </div>
+                )}
                 <input
                     type="range"
                     min="0"
-                    max="86400"
+                    max="86399"
                     value={currentTime}
                     onChange={(e) => setCurrentTime(Number(e.target.value))}
                     className="w-full h-2 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-blue-500"
@@ -300,6 +967,22 @@ export default function MapView() {
                 </div>
             </div>
 
+            {/* Focused Route Strip */}
+            {focusedRoute && (
+                <RouteStrip
+                    key={focusedRoute.id}
+                    route={focusedRoute}
+                    directions={routeDirections[focusedRoute.id]}
+                    stops={data.stops}
+                    trips={activeTrips.filter(trip => trip.route.id === focusedRoute.id)}
+                    tripIndex={tripIndex}
+                    selectedStopId={selectedStopId}
+                    onSelectStop={(stopId) => setPanel({ type: 'stop', stopId })}
+                    onPrintTimetable={() => openHTML(renderTimetableHTML(buildRouteTimetable(focusedRoute.id, data), data))}
+                    onClose={() => setFocusedRouteId(null)}
+                />
+            )}
+
             {/* Route Legend */}
             {data && data.routes && (
                 <div className="fixed bottom-4 right-4 z-[9999] glass-panel p-4 rounded-xl shadow-2xl max-h-[40vh] overflow-y-auto w-[320px] border border-slate-700/50">
@@ -307,9 +990,20 @@ export default function MapView() {
                         Route Guide
                         <span className="text-[10px] text-gray-400 font-normal">{data.routes.length} Routes</span>
                     </h3>
+                    {scenario && (
+                        <div className="flex items-center gap-1 text-[10px] text-amber-300 mb-2">
+                            <AlertTriangle size={12} className="flex-shrink-0" />
+                            <span className="truncate">Scenario: {scenario.name}</span>
+                        </div>
+                    )}
                     <div className="space-y-2">
                         {data.routes.map(route => (
-                            <div key={route.id} className="flex items-start gap-2 text-xs hover:bg-white/5 p-1 rounded transition-colors group">
+                            <div
+                                key={route.id}
+                                onClick={() => toggleRouteFocus(route.id)}
+                                title={route.id === activeFocusId ? 'Show all routes' : 'Focus this route'}
+                                className={`flex items-start gap-2 text-xs p-1 rounded transition-colors group cursor-pointer ${route.id === activeFocusId ? 'bg-white/10 ring-1 ring-white/20' : 'hover:bg-white/5'} ${activeFocusId && route.id !== activeFocusId ? 'opacity-50' : ''}`}
+                            >
                                 <div
                                     className="w-3 h-3 rounded-full shadow-sm flex-shrink-0 mt-0.5"
                                     style={{ backgroundColor: route.color }}
@@ -323,29 +1017,35 @@ export default function MapView() {
                                             {route.longName}
                                         </span>
                                     </div>
-                                    {(() => {
-                                        const nextTrip = getNextRouteTrip(route.id, data.schedule, data.calendar, currentTime);
-                                        if (nextTrip) {
-                                            return (
-                                                <div className="flex items-center gap-3 mt-1 text-[10px] font-mono border-t border-white/5 pt-1 w-full text-gray-400">
-                                                    <span className="flex items-center gap-1">
-                                                        <span className="w-1 h-1 rounded-full bg-green-500"></span>
-                                                        Dep: <span className="text-gray-200">{nextTrip.startTime}</span>
-                                                    </span>
-                                                    <span className="flex items-center gap-1">
-                                                        <span className="w-1 h-1 rounded-full bg-blue-500"></span>
-                                                        Arr: <span className="text-gray-200">{nextTrip.endTime}</span>
-                                                    </span>
-                                                </div>
-                                            );
-                                        } else {
-                                            return (
-                                                <div className="mt-1 text-[10px] text-gray-500 italic border-t border-white/5 pt-1">
-                                                    End of Service
-                                                </div>
-                                            );
-                                        }
-                                    })()}
+                                    {routeDirections[route.id].map(({ directionId, headsign }) => {
+                                        const nextTrip = getNextRouteTrip(route.id, data.schedule, data.calendar, currentTime, simDate, directionId, tripUpdates);
+                                        const directionKey = `${route.id}|${directionId}`;
+                                        return (
+                                            <div
+                                                key={directionKey}
+                                                onMouseEnter={() => setHoveredDirection(directionKey)}
+                                                onMouseLeave={() => setHoveredDirection(null)}
+                                                className="mt-1 text-[10px] border-t border-white/5 pt-1 w-full"
+                                            >
+                                                <div className="text-gray-300 truncate">to {headsign}</div>
+                                                {nextTrip ? (
+                                                    <div className="flex items-center gap-3 font-mono text-gray-400">
+                                                        <span className="flex items-center gap-1">
+                                                            <span className="w-1 h-1 rounded-full bg-green-500"></span>
+                                                            Dep: <span className="text-gray-200">{nextTrip.startTime}</span>
+                                                            {nextTrip.delay >= 60 && <span className="text-amber-400">+{Math.floor(nextTrip.delay / 60)}</span>}
+                                                        </span>
+                                                        <span className="flex items-center gap-1">
+                                                            <span className="w-1 h-1 rounded-full bg-blue-500"></span>
+                                                            Arr: <span className="text-gray-200">{nextTrip.endTime}</span>
+                                                        </span>
+                                                    </div>
+                                                ) : (
+                                                    <div className="text-gray-500 italic">End of Service</div>
+                                                )}
+                                            </div>
+                                        );
+                                    })}
                                 </div>
                             </div>
                         ))}
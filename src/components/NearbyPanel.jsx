@@ -0,0 +1,107 @@
+import React from 'react';
+import { X, MapPin, LocateFixed, Footprints } from 'lucide-react';
+import { getDepartures, groupDepartures, formatTime } from '../utils/gtfs';
+import { WALK_DETOUR } from '../utils/planner';
+
+const DEPARTURES_PER_STOP = 4;
+const NEARBY_RADII = [400, 800, 1200]; // metres
+
+// "Near me": the closest stops to the user's location (device or dropped pin),
+// with the walk to each and its next departures.
+export default function NearbyPanel({
+    data, simDate, currentTime, tripUpdates,
+    location, source, error, nearbyStops, radius, onRadiusChange,
+    picking, onPick, onUseDevice, onSelectStop, onClose
+}) {
+    let status;
+    if (source === 'pin') status = 'Using a dropped pin';
+    else if (source === 'mock') status = 'Using a mocked location';
+    else if (error) status = error;
+    else if (!location) status = 'Finding your location…';
+    else status = `Using your location (±${Math.round(location.accuracy)} m)`;
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-start justify-between gap-2 p-4 pb-2 border-b border-gray-600">
+                <div>
+                    <h3 className="font-bold text-sm">Near Me</h3>
+                    <div className={`text-[10px] ${error && source === 'gps' ? 'text-amber-400' : 'text-gray-400'}`}>{status}</div>
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close nearby stops">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="flex gap-1 px-4 pt-2 text-[10px]">
+                <button
+                    onClick={() => onPick(!picking)}
+                    className={`flex items-center gap-1 px-2 py-1 rounded ${picking ? 'bg-blue-500 text-white' : 'bg-slate-800 text-gray-400 hover:text-white'}`}
+                    title="Click the map to set your location"
+                >
+                    <MapPin size={12} /> {picking ? 'Click the map…' : 'Drop a pin'}
+                </button>
+                {source === 'pin' && (
+                    <button onClick={onUseDevice} className="flex items-center gap-1 px-2 py-1 rounded bg-slate-800 text-gray-400 hover:text-white">
+                        <LocateFixed size={12} /> My location
+                    </button>
+                )}
+                <select
+                    value={radius}
+                    onChange={(e) => onRadiusChange(Number(e.target.value))}
+                    className="ml-auto bg-slate-800 text-gray-300 rounded px-1 outline-none"
+                    aria-label="Search radius"
+                >
+                    {NEARBY_RADII.map(r => <option key={r} value={r}>within {r} m</option>)}
+                </select>
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-2 space-y-3">
+                {location && nearbyStops.length === 0 && (
+                    <div className="text-xs text-gray-400 italic">No stops within {radius} m. Try a larger radius.</div>
+                )}
+                {nearbyStops.map(({ stopId, distance, duration }) => {
+                    const groups = groupDepartures(getDepartures(stopId, currentTime, data.stopSchedules, data.calendar, simDate, DEPARTURES_PER_STOP, tripUpdates));
+                    return (
+                        <div key={stopId}>
+                            <button onClick={() => onSelectStop(stopId)} className="w-full flex items-center gap-2 text-left bg-transparent p-0 text-xs group">
+                                <span className="font-bold truncate group-hover:text-blue-300">{data.stops[stopId].name}</span>
+                                <span className="ml-auto flex items-center gap-1 text-[10px] text-gray-400 flex-shrink-0">
+                                    <Footprints size={11} /> {Math.round(distance * WALK_DETOUR)} m · {Math.ceil(duration / 60)} min
+                                </span>
+                            </button>
+                            {groups.length === 0 ? (
+                                <div className="text-[10px] text-gray-500 italic mt-0.5">No more departures today</div>
+                            ) : (
+                                <div className="space-y-0.5 mt-1">
+                                    {groups.map(group => (
+                                        <div key={group.key} className="flex items-center gap-1.5 text-[10px]">
+                                            <span className="px-1 rounded font-bold flex-shrink-0" style={{ backgroundColor: group.route.color }}>{group.route.shortName}</span>
+                                            <span className="text-gray-300 truncate">to {group.headsign}</span>
+                                            <span className="ml-auto font-mono text-gray-200 flex-shrink-0">
+                                                {group.departures.map(departure => {
+                                                    const minsAway = Math.ceil((departure.time - currentTime) / 60);
+                                                    // Flag buses that leave before the user can walk there, or won't come at all
+                                                    const missed = departure.cancelled || departure.time - currentTime < duration;
+                                                    const late = !departure.cancelled && departure.delay >= 60;
+                                                    return (
+                                                        <span
+                                                            key={`${departure.tripId}-${departure.stopIndex}`}
+                                                            className={`ml-1 ${missed ? 'text-gray-600 line-through' : late ? 'text-amber-400' : ''}`}
+                                                            title={departure.cancelled ? `${formatTime(departure.time)} cancelled` : formatTime(departure.time)}
+                                                        >
+                                                            {minsAway <= 0 ? 'Due' : `${minsAway}m`}
+                                                        </span>
+                                                    );
+                                                })}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,147 @@
+import React, { useMemo, useState } from 'react';
+import { X, MapPin, Footprints, ArrowRight } from 'lucide-react';
+import { formatTime } from '../utils/gtfs';
+import { buildTimetable, planJourneys } from '../utils/planner';
+
+// Trip planner: origin/destination are either a stop ({ stopId }) or a dropped pin ({ lat, lon }).
+export default function PlannerPanel({
+    data, simDate, currentTime,
+    origin, destination, onOriginChange, onDestinationChange,
+    picking, onPick, selectedIndex, onSelectItinerary, onClose
+}) {
+    const [departureTime, setDepartureTime] = useState(currentTime);
+
+    const stopOptions = useMemo(() => (
+        Object.entries(data.stops).sort((a, b) => a[1].name.localeCompare(b[1].name))
+    ), [data]);
+
+    // Rebuilding the timetable is the expensive part, only redo it when the service day changes
+    const timetable = useMemo(() => buildTimetable(data, simDate), [data, simDate]);
+
+    const itineraries = useMemo(() => {
+        if (!origin || !destination) return [];
+        return planJourneys(timetable, data, origin, destination, departureTime);
+    }, [timetable, data, origin, destination, departureTime]);
+
+    const describe = (endpoint) => {
+        if (!endpoint) return null;
+        if (endpoint.stopId) return data.stops[endpoint.stopId]?.name;
+        return `Pin ${endpoint.lat.toFixed(4)}, ${endpoint.lon.toFixed(4)}`;
+    };
+
+    const renderEndpoint = (label, endpoint, onChange, key) => (
+        <div className="space-y-1">
+            <div className="text-[10px] text-gray-400 uppercase">{label}</div>
+            <div className="flex gap-1">
+                <select
+                    value={endpoint?.stopId || ''}
+                    onChange={(e) => onChange(e.target.value ? { stopId: e.target.value } : null)}
+                    className="flex-1 min-w-0 bg-slate-800 text-xs rounded px-2 py-1 outline-none"
+                >
+                    <option value="">{endpoint && !endpoint.stopId ? describe(endpoint) : 'Choose a stop…'}</option>
+                    {stopOptions.map(([stopId, stop]) => (
+                        <option key={stopId} value={stopId}>{stop.name}</option>
+                    ))}
+                </select>
+                <button
+                    onClick={() => onPick(picking === key ? null : key)}
+                    className={`px-2 rounded text-xs ${picking === key ? 'bg-blue-500 text-white' : 'bg-slate-800 text-gray-300'}`}
+                    title="Pick a point on the map"
+                >
+                    <MapPin size={14} />
+                </button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-center justify-between p-4 pb-2 border-b border-gray-600">
+                <h3 className="font-bold text-sm">Plan a Trip</h3>
+                <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close planner">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="p-4 pt-2 space-y-2 border-b border-gray-700">
+                {renderEndpoint('From', origin, onOriginChange, 'origin')}
+                {renderEndpoint('To', destination, onDestinationChange, 'destination')}
+                {picking && <div className="text-[10px] text-blue-300">Click the map or a stop to set the {picking}.</div>}
+                <label className="flex items-center justify-between text-xs text-gray-400">
+                    Depart after
+                    <input
+                        type="time"
+                        value={formatTime(departureTime)}
+                        onChange={(e) => {
+                            const [h, m] = e.target.value.split(':').map(Number);
+                            if (Number.isNaN(h)) return;
+                            setDepartureTime(h * 3600 + m * 60);
+                            onSelectItinerary(null, null);
+                        }}
+                        className="bg-slate-800 rounded px-2 py-0.5 text-gray-200 outline-none [color-scheme:dark]"
+                    />
+                </label>
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-2 space-y-2">
+                {origin && destination && itineraries.length === 0 && (
+                    <div className="text-xs text-gray-400 italic">No connection found for the rest of this service day.</div>
+                )}
+                {itineraries.map((itinerary, index) => (
+                    <button
+                        key={index}
+                        onClick={() => onSelectItinerary(index === selectedIndex ? null : index, itinerary)}
+                        className={`w-full text-left p-2 rounded-lg border transition-colors ${index === selectedIndex ? 'border-blue-500 bg-blue-500/10' : 'border-slate-700 bg-slate-800/60 hover:bg-slate-800'}`}
+                    >
+                        <div className="flex items-center justify-between text-xs font-mono">
+                            <span className="text-gray-100">
+                                {formatTime(itinerary.departureTime)} → {formatTime(itinerary.arrivalTime)}
+                            </span>
+                            <span className="text-gray-400">
+                                {Math.round((itinerary.arrivalTime - itinerary.departureTime) / 60)} min
+                                {' · '}
+                                {itinerary.transfers === 0 ? 'direct' : `${itinerary.transfers} transfer${itinerary.transfers > 1 ? 's' : ''}`}
+                            </span>
+                        </div>
+                        <div className="flex items-center flex-wrap gap-1 mt-1">
+                            {itinerary.legs.map((leg, legIndex) => (
+                                <React.Fragment key={legIndex}>
+                                    {legIndex > 0 && <ArrowRight size={10} className="text-gray-500" />}
+                                    {leg.type === 'ride' ? (
+                                        <span className="text-[10px] px-1.5 rounded font-bold" style={{ backgroundColor: leg.route.color }}>
+                                            {leg.route.shortName}
+                                        </span>
+                                    ) : (
+                                        <span className="text-[10px] text-gray-400 flex items-center gap-0.5">
+                                            <Footprints size={10} /> {Math.round(leg.distance)}m
+                                        </span>
+                                    )}
+                                </React.Fragment>
+                            ))}
+                        </div>
+                        {index === selectedIndex && (
+                            <ol className="mt-2 space-y-1 text-[10px] text-gray-300">
+                                {itinerary.legs.map((leg, legIndex) => (
+                                    <li key={legIndex} className="flex gap-2">
+                                        <span className="font-mono text-gray-500">{formatTime(leg.departureTime)}</span>
+                                        {leg.type === 'ride' ? (
+                                            <span>
+                                                Take <b>{leg.route.shortName}</b> (to {leg.headsign}) from {data.stops[leg.fromStopId].name} to {data.stops[leg.toStopId].name},
+                                                {' '}{leg.stopIds.length - 1} stops, arrive {formatTime(leg.arrivalTime)}
+                                            </span>
+                                        ) : (
+                                            <span>
+                                                Walk {Math.round(leg.distance)}m
+                                                {leg.toStopId ? ` to ${data.stops[leg.toStopId].name}` : ' to your destination'}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { X, Bus, Printer } from 'lucide-react';
+
+const ROW_HEIGHT = 28; // px per stop on the strip
+
+// Strip diagram of a focused route: its stops in order for one direction at a time,
+// with the buses currently running that direction placed between the stops.
+export default function RouteStrip({ route, directions, stops, trips, tripIndex, selectedStopId, onSelectStop, onPrintTimetable, onClose }) {
+    const [directionIndex, setDirectionIndex] = useState(0);
+    const direction = directions[directionIndex] || directions[0];
+    if (!direction) return null;
+
+    // Bus offsets along the strip, in rows (stop index plus progress to the next stop)
+    const buses = trips
+        .filter(trip => trip.directionId === direction.directionId && trip.stopIndex !== undefined && tripIndex[trip.tripId])
+        .map(trip => {
+            const tripStops = tripIndex[trip.tripId].trip.stops;
+            const from = direction.stopIds.indexOf(tripStops[trip.stopIndex].stopId);
+            if (from === -1) return null;
+            // Only slide towards the next row when the trip's next stop is the strip's next stop
+            const nextOnStrip = direction.stopIds[from + 1] === tripStops[trip.stopIndex + 1]?.stopId;
+            const offset = from + (trip.status === 'moving' && nextOnStrip ? trip.progress : 0);
+            return { key: `${trip.tripId}-${trip.source}`, offset, live: trip.source === 'live', cancelled: trip.cancelled, layover: trip.status === 'layover' };
+        })
+        .filter(Boolean);
+    const running = buses.filter(bus => !bus.cancelled && !bus.layover).length;
+
+    // In the header's column (App.jsx, top-6 right-6, 320px wide) just below it, at the header's z-index, and
+    // kept clear of the route legend in the bottom right corner (at most 40vh tall)
+    return (
+        <div className="fixed top-44 right-6 z-[1000] glass-panel text-white rounded-xl shadow-2xl w-[320px] max-h-[calc(60vh-13rem)] min-h-[10rem] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-start justify-between gap-2 p-4 pb-2 border-b border-gray-600">
+                <div className="min-w-0">
+                    <div className="flex items-center gap-2">
+                        <span className="text-xs px-1.5 rounded font-bold" style={{ backgroundColor: route.color }}>{route.shortName}</span>
+                        <span className="text-[10px] text-gray-400">{running} bus{running === 1 ? '' : 'es'} on the road</span>
+                    </div>
+                    <h3 className="font-bold text-xs leading-tight mt-1 truncate">{route.longName}</h3>
+                </div>
+                <div className="flex items-center flex-shrink-0">
+                    <button onClick={onPrintTimetable} className="text-gray-400 hover:text-white bg-transparent p-1" title="Printable timetable">
+                        <Printer size={16} />
+                    </button>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Clear route focus">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {directions.length > 1 && (
+                <div className="flex gap-1 px-4 pt-2 text-[10px]">
+                    {directions.map((d, index) => (
+                        <button
+                            key={d.directionId ?? index}
+                            onClick={() => setDirectionIndex(index)}
+                            className={`flex-1 min-w-0 truncate px-2 py-1 rounded ${index === directionIndex ? 'bg-blue-500/30 text-blue-300' : 'bg-slate-800 text-gray-400'}`}
+                        >
+                            to {d.headsign}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            <div className="overflow-y-auto p-4 pt-3">
+                <div className="relative" style={{ height: direction.stopIds.length * ROW_HEIGHT }}>
+                    {/* Route line */}
+                    <div
+                        className="absolute w-1 rounded-full"
+                        style={{ left: 6, top: ROW_HEIGHT / 2, bottom: ROW_HEIGHT / 2, backgroundColor: route.color }}
+                    />
+
+                    {direction.stopIds.map((stopId, index) => (
+                        <button
+                            key={`${stopId}-${index}`}
+                            onClick={() => onSelectStop(stopId)}
+                            className="absolute left-0 right-0 flex items-center gap-3 text-left bg-transparent p-0 group"
+                            style={{ top: index * ROW_HEIGHT, height: ROW_HEIGHT }}
+                        >
+                            <span
+                                className="w-4 h-4 rounded-full border-2 flex-shrink-0"
+                                style={{ borderColor: route.color, backgroundColor: stopId === selectedStopId ? route.color : '#0f172a' }}
+                            />
+                            <span className={`text-[11px] truncate group-hover:text-white ${stopId === selectedStopId ? 'text-white font-bold' : 'text-gray-300'}`}>
+                                {stops[stopId]?.name || stopId}
+                            </span>
+                        </button>
+                    ))}
+
+                    {buses.map(bus => (
+                        <div
+                            key={bus.key}
+                            className="absolute flex items-center justify-center rounded pointer-events-none shadow"
+                            style={{
+                                left: -3,
+                                top: bus.offset * ROW_HEIGHT + ROW_HEIGHT / 2 - 9,
+                                width: 22,
+                                height: 18,
+                                backgroundColor: route.color,
+                                border: `2px ${bus.cancelled ? 'dashed' : 'solid'} ${bus.live ? '#22c55e' : 'white'}`,
+                                opacity: bus.cancelled ? 0.4 : 1
+                            }}
+                        >
+                            <Bus size={11} color="white" />
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,126 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search, MapPin, X } from 'lucide-react';
+import { buildSearchIndex, search } from '../utils/search';
+
+// Search box for stops and routes. Press "/" anywhere to focus it, arrows to move through
+// the results, Enter to open one and Escape to clear.
+export default function SearchBox({ data, onSelectStop, onSelectRoute }) {
+    const index = useMemo(() => buildSearchIndex(data), [data]);
+    const [query, setQuery] = useState('');
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+
+    const results = useMemo(() => search(index, query), [index, query]);
+    const active = Math.min(activeIndex, results.length - 1);
+    const showResults = open && query.trim() !== '';
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key !== '/' || e.target.closest?.('input, textarea, select')) return;
+            e.preventDefault();
+            inputRef.current?.focus();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, []);
+
+    const choose = (result) => {
+        if (result.type === 'stop') onSelectStop(result.id);
+        else onSelectRoute(result.id);
+        setQuery('');
+        setOpen(false);
+        inputRef.current?.blur();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown' && results.length > 0) {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((active + 1) % results.length);
+        } else if (e.key === 'ArrowUp' && results.length > 0) {
+            e.preventDefault();
+            setActiveIndex((active - 1 + results.length) % results.length);
+        } else if (e.key === 'Enter' && showResults && results[active]) {
+            e.preventDefault();
+            choose(results[active]);
+        } else if (e.key === 'Escape') {
+            if (query) setQuery('');
+            else inputRef.current?.blur();
+        }
+    };
+
+    return (
+        <div className="relative w-[260px]">
+            <div className="glass-panel flex items-center gap-2 px-3 py-2 rounded-lg text-xs text-white">
+                <Search size={14} className="text-gray-400 flex-shrink-0" />
+                <input
+                    ref={inputRef}
+                    value={query}
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setActiveIndex(0);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    onBlur={() => setOpen(false)}
+                    onKeyDown={handleKeyDown}
+                    placeholder="Search stops and routes  /"
+                    className="flex-1 min-w-0 bg-transparent outline-none placeholder-gray-500"
+                    role="combobox"
+                    aria-label="Search stops and routes"
+                    aria-expanded={showResults}
+                    aria-controls="search-results"
+                    aria-activedescendant={showResults && results[active] ? `search-result-${active}` : undefined}
+                />
+                {query && (
+                    <button
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => setQuery('')}
+                        className="text-gray-400 hover:text-white bg-transparent p-0"
+                        aria-label="Clear search"
+                    >
+                        <X size={14} />
+                    </button>
+                )}
+            </div>
+
+            {showResults && (
+                <ul
+                    id="search-results"
+                    role="listbox"
+                    className="absolute left-0 right-0 mt-1 glass-panel text-white rounded-lg shadow-2xl border border-slate-700/50 overflow-hidden text-xs"
+                >
+                    {results.length === 0 && (
+                        <li className="px-3 py-2 text-gray-400 italic">No stops or routes match "{query}"</li>
+                    )}
+                    {results.map((result, i) => (
+                        <li
+                            key={`${result.type}-${result.id}`}
+                            id={`search-result-${i}`}
+                            role="option"
+                            aria-selected={i === active}
+                            // Keep focus in the input so the blur doesn't close the list before the click lands
+                            onMouseDown={(e) => e.preventDefault()}
+                            onClick={() => choose(result)}
+                            onMouseEnter={() => setActiveIndex(i)}
+                            className={`flex items-center gap-2 px-3 py-2 cursor-pointer ${i === active ? 'bg-blue-500/30' : ''}`}
+                        >
+                            {result.type === 'stop' ? (
+                                <MapPin size={14} className="text-gray-400 flex-shrink-0" />
+                            ) : (
+                                <span className="text-[10px] px-1.5 rounded font-bold flex-shrink-0" style={{ backgroundColor: result.color }}>
+                                    {result.label}
+                                </span>
+                            )}
+                            <div className="min-w-0">
+                                {result.type === 'stop' && <div className="truncate font-bold">{result.label}</div>}
+                                <div className={`truncate ${result.type === 'stop' ? 'text-[10px] text-gray-400' : ''}`}>{result.sublabel}</div>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,156 @@
+import React, { useState } from 'react';
+import { X, Clock, List, Route as RouteIcon, Printer, CalendarPlus, Ticket, Radar } from 'lucide-react';
+import { getDepartures, getStopTimetable, groupDepartures, formatTime, estimateFare, formatFare } from '../utils/gtfs';
+import { buildStopTimetable, renderTimetableHTML, buildStopICS } from '../utils/timetable';
+import { downloadFile, openHTML } from '../utils/download';
+
+const DEPARTURE_LIMIT = 12;
+const ICS_DAYS = 7;
+
+// Helper: Cheapest and dearest fare from this stop on a group's first trip (to the next stop and to the end of the line)
+function getFareRange(group, data) {
+    const { tripId, stopIndex, route } = group.departures[0];
+    const trip = data.schedule[route.id]?.find(t => t.tripId === tripId);
+    if (!trip) return null;
+    const nearest = estimateFare(trip, route, stopIndex, stopIndex + 1, data);
+    const furthest = estimateFare(trip, route, stopIndex, trip.stops.length - 1, data);
+    return nearest && furthest ? { nearest, furthest } : null;
+}
+
+// Helper: "RM1.00" or "RM1.00–RM3.00"
+function formatFareRange(from, to, currency) {
+    return from === to ? formatFare(from, currency) : `${formatFare(from, currency)}–${formatFare(to, currency)}`;
+}
+
+// Departure board for a single stop: next departures grouped by route and direction,
+// or the full day's timetable for the simulated service date.
+export default function StopPanel({ stopId, stop, data, currentTime, simDate, tripUpdates, onPlanFrom, onReachFrom, onClose }) {
+    const [showFullDay, setShowFullDay] = useState(false);
+
+    const departures = showFullDay
+        ? getStopTimetable(stopId, data.stopSchedules, data.calendar, simDate)
+        : getDepartures(stopId, currentTime, data.stopSchedules, data.calendar, simDate, DEPARTURE_LIMIT, tripUpdates);
+    const groups = groupDepartures(departures);
+
+    const printTimetable = () => openHTML(renderTimetableHTML(buildStopTimetable(stopId, data), data));
+    const downloadCalendar = (group) => downloadFile(
+        `${group.route.shortName}-${stopId}.ics`,
+        buildStopICS(stopId, group.route.id, data, { fromDate: simDate, days: ICS_DAYS, directionId: group.directionId }),
+        'text/calendar'
+    );
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-start justify-between gap-2 p-4 pb-2 border-b border-gray-600">
+                <div>
+                    <div className="text-[10px] text-gray-400 font-mono">STOP {stopId}</div>
+                    <h3 className="font-bold text-sm leading-tight">{stop.name}</h3>
+                </div>
+                <div className="flex items-center">
+                    <button onClick={printTimetable} className="text-gray-400 hover:text-white bg-transparent p-1" title="Printable timetable">
+                        <Printer size={16} />
+                    </button>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close stop panel">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex gap-1 px-4 pt-2 text-[10px]">
+                <button
+                    onClick={() => setShowFullDay(false)}
+                    className={`flex items-center gap-1 px-2 py-1 rounded ${!showFullDay ? 'bg-blue-500/30 text-blue-300' : 'bg-slate-800 text-gray-400'}`}
+                >
+                    <Clock size={12} /> Next {DEPARTURE_LIMIT}
+                </button>
+                <button
+                    onClick={() => setShowFullDay(true)}
+                    className={`flex items-center gap-1 px-2 py-1 rounded ${showFullDay ? 'bg-blue-500/30 text-blue-300' : 'bg-slate-800 text-gray-400'}`}
+                >
+                    <List size={12} /> Full day
+                </button>
+                <button
+                    onClick={onPlanFrom}
+                    className="flex items-center gap-1 px-2 py-1 rounded bg-slate-800 text-gray-400 hover:text-white ml-auto"
+                >
+                    <RouteIcon size={12} /> Plan from here
+                </button>
+                <button
+                    onClick={onReachFrom}
+                    className="flex items-center gap-1 px-2 py-1 rounded bg-slate-800 text-gray-400 hover:text-white"
+                    title="Everywhere reachable from here in 15 to 60 minutes"
+                >
+                    <Radar size={12} /> Reach
+                </button>
+            </div>
+
+            <div className="overflow-y-auto p-4 pt-2 space-y-3">
+                {groups.length === 0 && (
+                    <div className="text-xs text-gray-400 italic">
+                        {showFullDay ? 'No service at this stop on this day' : 'No more departures today'}
+                    </div>
+                )}
+                {groups.map(group => {
+                    const fares = getFareRange(group, data);
+                    return (
+                        <div key={group.key}>
+                            <div className="flex items-center gap-2 text-xs mb-1">
+                                <span className="px-1.5 rounded font-bold" style={{ backgroundColor: group.route.color }}>
+                                    {group.route.shortName}
+                                </span>
+                                <span className="text-gray-300 truncate">to {group.headsign}</span>
+                                <button
+                                    onClick={() => downloadCalendar(group)}
+                                    className="ml-auto text-gray-500 hover:text-white bg-transparent p-0"
+                                    title={`Add the next ${ICS_DAYS} days of ${group.route.shortName} departures to your calendar (.ics)`}
+                                >
+                                    <CalendarPlus size={12} />
+                                </button>
+                            </div>
+                            {fares && (
+                                <div className="flex items-center gap-1 text-[10px] text-gray-400 mb-1" title="Estimated fare from this stop, to the next stop and to the end of the line">
+                                    <Ticket size={11} />
+                                    {formatFareRange(fares.nearest.adult, fares.furthest.adult, fares.nearest.currency)}
+                                    {fares.nearest.concession !== null && (
+                                        <span className="text-gray-500">
+                                            · concession {formatFareRange(fares.nearest.concession, fares.furthest.concession, fares.nearest.currency)}
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+                            <div className="flex flex-wrap gap-1">
+                                {group.departures.map(departure => {
+                                    const minsAway = Math.ceil((departure.time - currentTime) / 60);
+                                    const past = departure.time < currentTime;
+                                    const late = departure.delay >= 60;
+                                    return (
+                                        <span
+                                            key={`${departure.tripId}-${departure.stopIndex}`}
+                                            className={`text-[10px] font-mono px-1.5 py-0.5 rounded ${past ? 'bg-slate-800/50 text-gray-600' : 'bg-slate-800 text-gray-200'}`}
+                                            title={departure.cancelled ? `${departure.tripId} (not calling here)` : departure.tripId}
+                                        >
+                                            {departure.cancelled ? (
+                                                <>
+                                                    <span className="line-through text-gray-500">{formatTime(departure.time)}</span>
+                                                    <span className="ml-1 text-red-400">Cancelled</span>
+                                                </>
+                                            ) : (
+                                                <>
+                                                    {late && <span className="line-through text-gray-500 mr-1">{formatTime(departure.scheduledTime)}</span>}
+                                                    <span className={late ? 'text-amber-300' : ''}>{formatTime(departure.time)}</span>
+                                                    {!showFullDay && (
+                                                        <span className="ml-1 text-blue-400">{minsAway <= 0 ? 'Due' : `${minsAway}m`}</span>
+                                                    )}
+                                                </>
+                                            )}
+                                        </span>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { X, Crosshair, Ticket } from 'lucide-react';
+import { timeToSeconds, formatTime, getStopDelay, estimateFare, formatFare, FARE_CATEGORIES } from '../utils/gtfs';
+
+// Trip inspector: the full stop list of one trip with scheduled times, which stops the bus has
+// passed, where it is now and how long until each upcoming stop.
+// `state` is the bus as drawn on the map ({ stopIndex, progress, status, delay, offset, source, layoverEnd })
+// and is null once the trip is no longer on the road. `update` is the trip's realtime or scenario
+// update, if any: times are shown as predicted, with skipped stops and cancellation marked.
+// With fare data each later stop shows the estimated fare from a chosen boarding stop.
+export default function TripInspector({ trip, route, state, update, currentTime, stops, fares, following, onToggleFollow, onSelectStop, onClose }) {
+    const [boardingIndex, setBoardingIndex] = useState(null);
+    const [fareCategory, setFareCategory] = useState('adult');
+    const hasTimeline = state && state.stopIndex !== undefined;
+    const delay = state?.delay || 0;
+    const offset = state?.offset || 0;
+    const cancelled = Boolean(update?.cancelled);
+    const lastIndex = trip.stops.length - 1;
+    // Predicted times follow the update, a cancelled trip keeps its timetable
+    const stopDelay = (index) => (cancelled ? 0 : getStopDelay(update, index));
+
+    const startSec = timeToSeconds(trip.stops[0].departure) + stopDelay(0);
+    const endSec = timeToSeconds(trip.stops[lastIndex].arrival) + stopDelay(lastIndex);
+    // The clock on the trip's own service day
+    const tripSeconds = currentTime + offset;
+    const tripProgress = hasTimeline && endSec > startSec
+        ? Math.min(1, Math.max(0, (tripSeconds - startSec) / (endSec - startSec)))
+        : null;
+
+    // A stop is passed once the bus has left it (moving) or is standing at a later one
+    const isPassed = (index) => hasTimeline && (state.status === 'moving' ? index <= state.stopIndex : index < state.stopIndex);
+
+    // Fares are from the stop picked, or by default the next one the bus calls at
+    const nextCall = hasTimeline ? state.stopIndex + (state.status === 'moving' ? 1 : 0) : 0;
+    const boardAt = Math.min(boardingIndex ?? nextCall, lastIndex - 1);
+    const fareData = { stops, fares };
+    const hasFares = estimateFare(trip, route, 0, lastIndex, fareData) !== null;
+
+    let statusText = 'Not on the road at this time';
+    if (hasTimeline) {
+        const current = stops[trip.stops[state.stopIndex].stopId]?.name;
+        const next = stops[trip.stops[state.stopIndex + 1]?.stopId]?.name;
+        if (state.status === 'layover') statusText = `Laying over at ${current}, departs ${formatTime(state.layoverEnd - offset)}`;
+        else if (state.status === 'dwelling') statusText = `At ${current}`;
+        else statusText = `Between ${current} and ${next}`;
+    } else if (state) {
+        statusText = 'Live position only (trip not in the simulated schedule window)';
+    }
+
+    return (
+        <div className="fixed top-16 left-4 z-[9999] glass-panel text-white rounded-xl shadow-2xl w-[340px] max-h-[calc(100vh-5rem)] flex flex-col border border-slate-700/50 fade-in">
+            <div className="flex items-start justify-between gap-2 p-4 pb-2 border-b border-gray-600">
+                <div className="min-w-0">
+                    <div className="text-[10px] text-gray-400 font-mono">
+                        TRIP {trip.tripId}
+                        {state && <span className={state.source === 'live' ? 'text-green-400' : ''}> · {state.source === 'live' ? 'LIVE' : 'SIMULATED'}</span>}
+                    </div>
+                    <h3 className="font-bold text-sm leading-tight flex items-center gap-2">
+                        <span className="text-xs px-1.5 rounded" style={{ backgroundColor: route.color }}>{route.shortName}</span>
+                        <span className="truncate">to {trip.headsign}</span>
+                    </h3>
+                </div>
+                <button onClick={onClose} className="text-gray-400 hover:text-white bg-transparent p-1" aria-label="Close trip inspector">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <div className="px-4 pt-2 pb-2 space-y-2 border-b border-gray-700 text-xs">
+                <div className="text-gray-300">{statusText}</div>
+                {cancelled && <div className="text-red-400 font-bold">Trip cancelled</div>}
+                {update?.reasons?.map(reason => (
+                    <div key={reason} className="text-[10px] text-amber-300">{reason}</div>
+                ))}
+                {tripProgress !== null && (
+                    <div>
+                        <div className="flex justify-between text-[10px] text-gray-400 font-mono">
+                            <span>{formatTime(startSec - offset)}</span>
+                            <span>{Math.round(tripProgress * 100)}% of trip{state.status === 'moving' ? `, ${Math.round(state.progress * 100)}% of segment` : ''}</span>
+                            <span>{formatTime(endSec - offset)}</span>
+                        </div>
+                        <div className="h-1.5 bg-slate-800 rounded-full mt-1 overflow-hidden">
+                            <div className="h-full rounded-full" style={{ width: `${tripProgress * 100}%`, backgroundColor: route.color }} />
+                        </div>
+                    </div>
+                )}
+                {hasFares && (
+                    <div className="flex items-center gap-1 text-[10px] text-gray-400">
+                        <Ticket size={12} className="flex-shrink-0" /> Fares from
+                        <select
+                            value={boardAt}
+                            onChange={(e) => setBoardingIndex(Number(e.target.value))}
+                            className="min-w-0 flex-1 bg-slate-800 text-gray-300 rounded px-1 outline-none"
+                            aria-label="Boarding stop for fares"
+                        >
+                            {trip.stops.slice(0, -1).map((stop, index) => (
+                                <option key={`${stop.stopId}-${stop.seq}`} value={index}>{stops[stop.stopId]?.name || stop.stopId}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={fareCategory}
+                            onChange={(e) => setFareCategory(e.target.value)}
+                            className="bg-slate-800 text-gray-300 rounded px-1 outline-none"
+                            aria-label="Fare category"
+                        >
+                            {Object.entries(FARE_CATEGORIES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div className="flex items-center gap-2">
+                    {delay > 0 && <span className="text-[10px] text-amber-400">Running {Math.round(delay / 60)} min late</span>}
+                    {state && (
+                        <button
+                            onClick={onToggleFollow}
+                            className={`ml-auto flex items-center gap-1 px-2 py-1 rounded text-[10px] ${following ? 'bg-blue-500/30 text-blue-300' : 'bg-slate-800 text-gray-400 hover:text-white'}`}
+                        >
+                            <Crosshair size={12} /> {following ? 'Following' : 'Follow this bus'}
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <ol className="overflow-y-auto p-4 pt-2 text-[11px]">
+                {trip.stops.map((stop, index) => {
+                    const stopLate = stopDelay(index);
+                    const arrival = timeToSeconds(stop.arrival) + stopLate;
+                    const departure = timeToSeconds(stop.departure) + stopLate;
+                    const skipped = !cancelled && Boolean(update?.skippedStops?.includes(index));
+                    const passed = isPassed(index);
+                    const isCurrent = hasTimeline && index === state.stopIndex && state.status === 'dwelling';
+                    const inSegment = hasTimeline && state.status === 'moving' && index === state.stopIndex;
+                    const minsAway = Math.ceil((arrival - tripSeconds) / 60);
+                    const fare = hasFares && index > boardAt ? estimateFare(trip, route, boardAt, index, fareData) : null;
+
+                    return (
+                        <li key={`${stop.stopId}-${stop.seq}`} className="relative pl-5 pb-2">
+                            {/* Timeline rail; the segment the bus is on shows its progress */}
+                            {index < trip.stops.length - 1 && (
+                                <span className="absolute left-[5px] top-3 bottom-0 w-0.5 bg-slate-700">
+                                    <span
+                                        className="absolute left-0 top-0 w-full"
+                                        style={{ height: passed && !inSegment ? '100%' : inSegment ? `${state.progress * 100}%` : 0, backgroundColor: route.color }}
+                                    />
+                                </span>
+                            )}
+                            <span
+                                className="absolute left-0 top-1 w-3 h-3 rounded-full border-2"
+                                style={{ borderColor: route.color, backgroundColor: passed || isCurrent ? route.color : '#0f172a' }}
+                            />
+                            <button
+                                onClick={() => onSelectStop(stop.stopId)}
+                                className={`flex w-full items-baseline justify-between gap-2 bg-transparent p-0 text-left hover:text-white ${passed ? 'text-gray-500' : 'text-gray-200'} ${isCurrent ? 'font-bold text-white' : ''}`}
+                            >
+                                <span className={`truncate ${skipped ? 'line-through' : ''}`}>{stops[stop.stopId]?.name || stop.stopId}</span>
+                                <span className="font-mono text-[10px] whitespace-nowrap">
+                                    {fare && fare[fareCategory] !== null && (
+                                        <span className="text-gray-500 mr-1" title="Estimated fare">{formatFare(fare[fareCategory], fare.currency)}</span>
+                                    )}
+                                    {skipped && <span className="text-red-400 mr-1">not calling</span>}
+                                    {stopLate >= 60 && <span className="text-gray-500 line-through mr-1">{formatTime(arrival - stopLate - offset)}</span>}
+                                    <span className={stopLate >= 60 ? 'text-amber-300' : ''}>{formatTime(arrival - offset)}</span>
+                                    {departure !== arrival && <span className="text-gray-500">–{formatTime(departure - offset)}</span>}
+                                    {hasTimeline && !passed && !isCurrent && !skipped && !cancelled && (
+                                        <span className="ml-1 text-blue-400">{minsAway <= 0 ? 'Due' : `${minsAway}m`}</span>
+                                    )}
+                                </span>
+                            </button>
+                        </li>
+                    );
+                })}
+            </ol>
+        </div>
+    );
+}
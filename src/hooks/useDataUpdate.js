@@ -0,0 +1,42 @@
+import { useEffect, useState } from 'react';
+import { fetchLatestVersion } from '../utils/offline';
+
+const CHECK_INTERVAL = 30 * 60 * 1000; // ms
+
+// Connection state and, when the server has newer processed data for the feed than the copy the app
+// loaded (currentVersion, the version string from its version.json), the newer manifest ({ version, generatedAt }).
+export default function useDataUpdate(feedId, currentVersion) {
+    const [online, setOnline] = useState(() => navigator.onLine);
+    const [latest, setLatest] = useState(null);
+
+    useEffect(() => {
+        const handleChange = () => setOnline(navigator.onLine);
+        window.addEventListener('online', handleChange);
+        window.addEventListener('offline', handleChange);
+        return () => {
+            window.removeEventListener('online', handleChange);
+            window.removeEventListener('offline', handleChange);
+        };
+    }, []);
+
+    // Check on load, whenever the connection comes back and every half hour
+    useEffect(() => {
+        if (!currentVersion || !online) return;
+
+        let cancelled = false;
+        const check = () => {
+            fetchLatestVersion(feedId)
+                .then(manifest => { if (!cancelled) setLatest(manifest); })
+                .catch(err => console.warn("Data version check failed:", err));
+        };
+        check();
+        const interval = setInterval(check, CHECK_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+        };
+    }, [feedId, currentVersion, online]);
+
+    const updateAvailable = currentVersion && latest && latest.version !== currentVersion ? latest : null;
+    return { online, updateAvailable };
+}
@@ -0,0 +1,57 @@
+import { useEffect, useState } from 'react';
+
+const MOCK_STEP = 5000; // ms between points of a mocked walk
+
+// Helper: Points from ?mockLocation=lat,lon or a walk ?mockLocation=lat,lon|lat,lon|...
+function parseMockLocation(search) {
+    const value = new URLSearchParams(search).get('mockLocation');
+    if (!value) return null;
+    const points = value.split('|').map(point => {
+        const [lat, lon] = point.split(',').map(Number);
+        return Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon, accuracy: 0 } : null;
+    });
+    if (points.length === 0 || points.includes(null)) {
+        console.warn(`Ignoring malformed mockLocation "${value}"`);
+        return null;
+    }
+    return points;
+}
+
+// The device's position while `enabled`, updated as it moves: { position: { lat, lon, accuracy } | null, error, mocked }.
+// ?mockLocation= in the page URL replaces the browser's Geolocation API so the feature can be tried anywhere.
+export default function useGeolocation(enabled) {
+    const [mockPath] = useState(() => parseMockLocation(window.location.search));
+    const [mockStep, setMockStep] = useState(0);
+    const [fix, setFix] = useState(null);
+    const [error, setError] = useState(null);
+    const supported = typeof navigator !== 'undefined' && 'geolocation' in navigator;
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        if (mockPath) {
+            if (mockPath.length < 2) return;
+            const id = setInterval(() => setMockStep(step => step + 1), MOCK_STEP);
+            return () => clearInterval(id);
+        }
+
+        if (!supported) return;
+        const id = navigator.geolocation.watchPosition(
+            ({ coords }) => {
+                setFix({ lat: coords.latitude, lon: coords.longitude, accuracy: coords.accuracy });
+                setError(null);
+            },
+            (err) => setError(err.message || 'Location unavailable'),
+            { enableHighAccuracy: true, maximumAge: 10000, timeout: 20000 }
+        );
+        return () => navigator.geolocation.clearWatch(id);
+    }, [enabled, mockPath, supported]);
+
+    if (!enabled) return { position: null, error: null, mocked: false };
+    if (mockPath) return { position: mockPath[mockStep % mockPath.length], error: null, mocked: true };
+    return {
+        position: fix,
+        error: supported ? error : 'This browser has no geolocation support',
+        mocked: false
+    };
+}
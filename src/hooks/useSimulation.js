@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from 'react';
+import { createSimulationHandler } from '../utils/simulation';
+
+const NO_UPDATES = {};
+
+// Helper: Main-thread stand-in with the same postMessage/onmessage surface as the worker
+function createInlineEngine() {
+    const handle = createSimulationHandler();
+    const engine = {
+        onmessage: null,
+        postMessage: (message) => {
+            setTimeout(() => {
+                const reply = handle(message);
+                if (reply && engine.onmessage) engine.onmessage({ data: reply });
+            });
+        },
+        terminate: () => { engine.onmessage = null; }
+    };
+    return engine;
+}
+
+function createEngine() {
+    if (typeof Worker === 'undefined') return createInlineEngine();
+    try {
+        return new Worker(new URL('../workers/simulation.worker.js', import.meta.url), { type: 'module' });
+    } catch (err) {
+        console.warn("Simulation worker unavailable, running on the main thread:", err);
+        return createInlineEngine();
+    }
+}
+
+// Scheduled bus positions for the simulation clock, computed in a Web Worker.
+// Returns the engine's trips ({ tripId, routeId, vehicle, position, bearing, status, delay, ... }) for the
+// current clock tick, cancelled ones included (flagged cancelled) when includeCancelled is set and buses
+// laying over between the trips of their block when includeLayovers is. Between ticks the worker is sampled once per animation frame at the
+// interpolated clock time and the result handed to onFrame, so callers can move markers
+// smoothly without re-rendering React sixty times a second.
+export default function useSimulation(data, serviceDate, seconds, { speed = 1, tripUpdates = NO_UPDATES, includeCancelled = false, includeLayovers = false, onFrame } = {}) {
+    const [trips, setTrips] = useState([]);
+    const engineRef = useRef(null);
+    // One request in flight at a time; a clock tick waiting behind a frame takes the next slot
+    const inFlightRef = useRef(null);
+    const queuedRef = useRef(null);
+    // Where the clock was at the last tick, to extrapolate the time of each frame
+    const anchorRef = useRef(null);
+    const onFrameRef = useRef(onFrame);
+
+    useEffect(() => {
+        onFrameRef.current = onFrame;
+    }, [onFrame]);
+
+    useEffect(() => {
+        if (!data) return;
+
+        let engine = null;
+        // The trip updates the engine holds; ticks only carry them when they change, rather than
+        // copying them to the worker every frame
+        let sentUpdates = null;
+        const send = (message) => {
+            inFlightRef.current = message;
+            const { tripUpdates: updates, ...tick } = message;
+            engine.postMessage(updates === sentUpdates ? tick : message);
+            sentUpdates = updates;
+        };
+        const onMessage = (event) => {
+            if (event.data.type !== 'trips') return;
+            const request = inFlightRef.current;
+            inFlightRef.current = null;
+
+            if (request?.frame) onFrameRef.current?.(event.data.trips);
+            else setTrips(event.data.trips);
+
+            if (queuedRef.current) {
+                send(queuedRef.current);
+                queuedRef.current = null;
+            }
+        };
+
+        // The compact payloads rather than the schedule: copying decoded trips to the worker would decode them all here
+        const { compactSchedule, stops, shapes, calendar, blocks } = data;
+        const start = (created) => {
+            engine = created;
+            engine.onmessage = onMessage;
+            // A failed worker never answers, which would leave the buses frozen behind the request in flight:
+            // carry on with the main-thread engine and send that request again
+            engine.onerror = (err) => {
+                console.error("Simulation worker failed, running on the main thread:", err);
+                engine.terminate();
+                const pending = inFlightRef.current;
+                inFlightRef.current = null;
+                sentUpdates = null;
+                start(createInlineEngine());
+                if (pending) send(pending);
+            };
+            engine.postMessage({ type: 'init', data: { compactSchedule, stops, shapes, calendar, blocks } });
+        };
+        inFlightRef.current = null;
+        queuedRef.current = null;
+        start(createEngine());
+        engineRef.current = { send };
+
+        return () => {
+            engine.terminate();
+            engineRef.current = null;
+        };
+    }, [data]);
+
+    // Clock ticks: authoritative positions for rendering
+    useEffect(() => {
+        const engine = engineRef.current;
+        if (!engine) return;
+
+        anchorRef.current = { serviceDate, seconds, speed, tripUpdates, includeCancelled, includeLayovers, wall: performance.now() };
+        const message = { type: 'tick', serviceDate, seconds, tripUpdates, includeCancelled, includeLayovers };
+        if (inFlightRef.current) queuedRef.current = message;
+        else engine.send(message);
+    }, [data, serviceDate, seconds, speed, tripUpdates, includeCancelled, includeLayovers]);
+
+    // Animation frames: sample the engine between ticks
+    useEffect(() => {
+        if (!data) return;
+
+        let frameId;
+        const loop = () => {
+            frameId = requestAnimationFrame(loop);
+            const engine = engineRef.current;
+            const anchor = anchorRef.current;
+            if (!engine || !anchor || inFlightRef.current || !onFrameRef.current) return;
+
+            // Never run ahead of the next tick, in case it arrives late
+            const elapsed = Math.min((performance.now() - anchor.wall) / 1000, 1);
+            engine.send({
+                type: 'tick',
+                frame: true,
+                serviceDate: anchor.serviceDate,
+                seconds: anchor.seconds + elapsed * anchor.speed,
+                tripUpdates: anchor.tripUpdates,
+                includeCancelled: anchor.includeCancelled,
+                includeLayovers: anchor.includeLayovers
+            });
+        };
+        frameId = requestAnimationFrame(loop);
+        return () => cancelAnimationFrame(frameId);
+    }, [data]);
+
+    return trips;
+}
@@ -0,0 +1,108 @@
+import { isServiceActive, timeToSeconds } from './gtfs.js';
+
+// Service analytics
+// Headways, frequencies and fleet requirements computed from the processed schedule,
+// so planners don't need to export the schedule to a spreadsheet.
+
+// Helper: Trips starting in each hour of the service day, per route.
+// Returns { hours: [0..n], routes: { routeId: [count per hour] } }; hours run past 23 for late trips.
+export function getTripsPerHour(schedule, calendar, serviceDate) {
+    const starts = {};
+    let lastHour = 23;
+
+    Object.entries(schedule).forEach(([routeId, trips]) => {
+        starts[routeId] = [];
+        trips.forEach(trip => {
+            if (!isServiceActive(trip.serviceId, calendar, serviceDate)) return;
+            const hour = Math.floor(timeToSeconds(trip.stops[0].departure) / 3600);
+            starts[routeId].push(hour);
+            lastHour = Math.max(lastHour, hour);
+        });
+    });
+
+    const hours = Array.from({ length: lastHour + 1 }, (_, h) => h);
+    const routes = {};
+    Object.entries(starts).forEach(([routeId, tripHours]) => {
+        routes[routeId] = hours.map(() => 0);
+        tripHours.forEach(hour => { routes[routeId][hour]++; });
+    });
+    return { hours, routes };
+}
+
+// Helper: Headway statistics (seconds) for departures from a stop, per route and direction.
+// Buses terminating at the stop are left out, as departure boards do.
+export function getStopHeadways(stopId, stopSchedules, calendar, serviceDate) {
+    const groups = {};
+    (stopSchedules[stopId] || []).forEach(entry => {
+        if (entry.isTerminus || !isServiceActive(entry.serviceId, calendar, serviceDate)) return;
+        const key = `${entry.route.id}|${entry.directionId}`;
+        if (!groups[key]) groups[key] = { key, route: entry.route, directionId: entry.directionId, headsign: entry.headsign, times: [] };
+        groups[key].times.push(entry.time);
+    });
+
+    return Object.values(groups)
+        .map(({ times, ...group }) => ({ ...group, ...summariseHeadways(times) }))
+        .sort((a, b) => a.route.shortName.localeCompare(b.route.shortName) || (a.directionId ?? 0) - (b.directionId ?? 0));
+}
+
+function summariseHeadways(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const gaps = sorted.slice(1).map((time, i) => time - sorted[i]);
+    return {
+        departures: sorted.length,
+        first: sorted[0],
+        last: sorted[sorted.length - 1],
+        mean: gaps.length ? gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length : null,
+        min: gaps.length ? Math.min(...gaps) : null,
+        max: gaps.length ? Math.max(...gaps) : null
+    };
+}
+
+// Helper: Buses on the road through the day, sampled every `step` seconds.
+// Each trip occupies a bus from its first departure to its last arrival; layovers between
+// trips aren't counted, so the peak is a lower bound on the vehicles needed.
+export function getVehiclesInService(schedule, calendar, serviceDate, step = 300) {
+    const spans = [];
+    Object.values(schedule).forEach(trips => {
+        trips.forEach(trip => {
+            if (!isServiceActive(trip.serviceId, calendar, serviceDate)) return;
+            spans.push([timeToSeconds(trip.stops[0].departure), timeToSeconds(trip.stops[trip.stops.length - 1].arrival)]);
+        });
+    });
+
+    const end = Math.max(86400, ...spans.map(([, tripEnd]) => tripEnd));
+    const samples = [];
+    for (let time = 0; time < end; time += step) {
+        samples.push({ time, count: spans.filter(([start, tripEnd]) => start <= time && time < tripEnd).length });
+    }
+
+    const peak = samples.reduce((best, sample) => (sample.count > best.count ? sample : best), { time: 0, count: 0 });
+    return { samples, peak };
+}
+
+// Helper: First and last departure and trip count per route and service_id (independent of date)
+export function getServiceSpans(schedule, routes) {
+    const rows = [];
+    Object.entries(schedule).forEach(([routeId, trips]) => {
+        const route = routes.find(r => r.id === routeId);
+        const byService = {};
+        trips.forEach(trip => {
+            const start = timeToSeconds(trip.stops[0].departure);
+            const span = byService[trip.serviceId] || (byService[trip.serviceId] = { first: start, last: start, trips: 0 });
+            span.first = Math.min(span.first, start);
+            span.last = Math.max(span.last, start);
+            span.trips++;
+        });
+        Object.entries(byService).forEach(([serviceId, span]) => rows.push({ route, serviceId, ...span }));
+    });
+    return rows.sort((a, b) => a.route.shortName.localeCompare(b.route.shortName) || a.serviceId.localeCompare(b.serviceId));
+}
+
+// Helper: CSV text from rows of plain values, quoting fields where needed
+export function toCSV(header, rows) {
+    const escape = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,137 @@
+import { timeToSeconds, haversineDistance, isServiceActive } from './gtfs.js';
+
+// Vehicle blocks
+// A block is the chain of trips one bus runs through a service day. The processor writes
+// blocks.json from trips.txt block_id where the feed has it, and infers the rest with
+// inferBlocks(): on each route and service, a trip continues the block of a bus that finished
+// at the same terminal shortly before it starts. Longest-waiting bus first, as at a real stand.
+//   blocks.json  { blocks: [{ id, serviceId, inferred, trips: [tripId] }] }
+// Interlining between routes is only known from block_id, inference keeps to one route.
+
+const MIN_LAYOVER = 60;        // seconds a bus needs at the terminal before its next trip
+const MAX_LAYOVER = 90 * 60;   // longer than this and the bus is assumed to go back to the depot
+const TERMINAL_RADIUS = 300;   // metres between where one trip ends and the next starts
+
+// Helper: Blocks for every trip in a { routeId: [trip] } schedule. blockIds maps tripId -> block_id
+// for feeds that publish them; routeNames (routeId -> short name) makes inferred ids readable.
+export function inferBlocks(schedule, stops, { blockIds = {}, routeNames = {} } = {}) {
+    const blocks = [];
+    const published = {};
+
+    Object.entries(schedule).forEach(([routeId, trips]) => {
+        const unassigned = {}; // serviceId -> [trip]
+        trips.forEach(trip => {
+            const blockId = blockIds[trip.tripId];
+            if (blockId) {
+                // block_id is shared across service days, a block here is one bus on one of them
+                const key = `${blockId}|${trip.serviceId}`;
+                if (!published[key]) published[key] = { id: blockId, serviceId: trip.serviceId, inferred: false, trips: [] };
+                published[key].trips.push(trip);
+            } else {
+                if (!unassigned[trip.serviceId]) unassigned[trip.serviceId] = [];
+                unassigned[trip.serviceId].push(trip);
+            }
+        });
+
+        Object.entries(unassigned).forEach(([serviceId, serviceTrips]) => {
+            chainTrips(serviceTrips, stops).forEach((chain, i) => {
+                blocks.push({ id: `${routeNames[routeId] || routeId}-${serviceId}-${i + 1}`, serviceId, inferred: true, trips: chain });
+            });
+        });
+    });
+
+    // Published blocks keep their id unless the same block_id runs on several services
+    const values = Object.values(published);
+    const counts = {};
+    values.forEach(block => { counts[block.id] = (counts[block.id] || 0) + 1; });
+    values.forEach(block => {
+        blocks.push({
+            ...block,
+            id: counts[block.id] > 1 ? `${block.id}-${block.serviceId}` : block.id,
+            trips: block.trips.sort((a, b) => tripStart(a) - tripStart(b))
+        });
+    });
+
+    return blocks
+        .map(block => ({ ...block, trips: block.trips.map(trip => trip.tripId) }))
+        .sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+const tripStart = (trip) => timeToSeconds(trip.stops[0].departure);
+const tripEnd = (trip) => timeToSeconds(trip.stops[trip.stops.length - 1].arrival);
+
+// Helper: Chain one route's trips on one service into vehicle runs
+function chainTrips(trips, stops) {
+    const buses = []; // { trips, end, stopId }
+    [...trips].sort((a, b) => tripStart(a) - tripStart(b)).forEach(trip => {
+        const start = tripStart(trip);
+        const from = stops[trip.stops[0].stopId];
+        const waiting = buses
+            .filter(bus => {
+                const layover = start - bus.end;
+                if (layover < MIN_LAYOVER || layover > MAX_LAYOVER) return false;
+                const at = stops[bus.stopId];
+                return bus.stopId === trip.stops[0].stopId
+                    || (at && from && haversineDistance([at.lat, at.lon], [from.lat, from.lon]) <= TERMINAL_RADIUS);
+            })
+            .sort((a, b) => a.end - b.end);
+
+        const bus = waiting[0] || { trips: [] };
+        if (!waiting[0]) buses.push(bus);
+        bus.trips.push(trip);
+        bus.end = tripEnd(trip);
+        bus.stopId = trip.stops[trip.stops.length - 1].stopId;
+    });
+    return buses.map(bus => bus.trips);
+}
+
+// Helper: A block's duties in running order, each trip with its times and the layover after it:
+// { block, duties: [{ tripId, route, headsign, start, end, layover }], start, end, inService, layover }
+// tripIndex is tripId -> { trip, route } (as built in Map.jsx). Times are seconds on the service day.
+export function getBlockDuties(block, tripIndex) {
+    const duties = block.trips
+        .filter(tripId => tripIndex[tripId])
+        .map(tripId => {
+            const { trip, route } = tripIndex[tripId];
+            return { tripId, route, headsign: trip.headsign, start: tripStart(trip), end: tripEnd(trip), layover: null };
+        });
+    duties.forEach((duty, i) => {
+        if (duties[i + 1]) duty.layover = duties[i + 1].start - duty.end;
+    });
+
+    return {
+        block,
+        duties,
+        start: duties[0]?.start ?? 0,
+        end: duties[duties.length - 1]?.end ?? 0,
+        inService: duties.reduce((sum, duty) => sum + duty.end - duty.start, 0),
+        layover: duties.reduce((sum, duty) => sum + (duty.layover || 0), 0)
+    };
+}
+
+// Helper: Every block running on a service date with its duties, earliest pull-out first,
+// plus fleet totals: { blocks, vehicles, inService, layover, peakVehicles }
+export function getFleetDuties(blocks, tripIndex, calendar, serviceDate) {
+    const running = blocks
+        .filter(block => isServiceActive(block.serviceId, calendar, serviceDate))
+        .map(block => getBlockDuties(block, tripIndex))
+        .filter(block => block.duties.length > 0)
+        .sort((a, b) => a.start - b.start);
+
+    // Most buses out at once, counting a bus from its first departure to its last arrival
+    const changes = running.flatMap(block => [[block.start, 1], [block.end, -1]]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    let out = 0;
+    let peakVehicles = 0;
+    changes.forEach(([, change]) => {
+        out += change;
+        peakVehicles = Math.max(peakVehicles, out);
+    });
+
+    return {
+        blocks: running,
+        vehicles: running.length,
+        inService: running.reduce((sum, block) => sum + block.inService, 0),
+        layover: running.reduce((sum, block) => sum + block.layover, 0),
+        peakVehicles
+    };
+}
@@ -0,0 +1,95 @@
+import L from 'leaflet';
+
+// Bus marker icons
+// Icons are cached by everything that affects their markup, so moving a bus never rebuilds its
+// DivIcon and Leaflet only swaps the element when the bus turns or changes state.
+
+const BEARING_STEP = 15;  // degrees per heading bucket
+const ICON_SIZE = 24;     // px
+const FAN_RADIUS = 14;    // px, spread of overlapping buses
+const OVERLAP_PRECISION = 4; // decimal places of lat/lon treated as the same spot (~10 m)
+
+const iconCache = new Map();
+
+const BUS_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+    <path d="M8 6v6"/>
+    <path d="M15 6v6"/>
+    <path d="M2 12h19.6"/>
+    <path d="M18 18h3s.5-1.7.8-2.8c.1-.4.2-.8.2-1.2 0-.4-.1-.8-.2-1.2l-1.4-5C20.1 6.8 19.1 6 18 6H4a2 2 0 0 0-2 2v10h3"/>
+    <circle cx="7" cy="18" r="2"/>
+    <path d="M9 18h5"/>
+    <circle cx="16" cy="18" r="2"/>
+</svg>`;
+
+// Helper: Cached DivIcon for a bus. The bus glyph stays upright and a pointer on its
+// edge shows the direction of travel; offset shifts the icon in pixels (see fanOutBuses).
+// Ghosted marks a simulated twin of a live bus, dimmed a bus outside the focused route.
+// A late bus carries a "+minutes" tag; a cancelled one is drawn faded with a red cross.
+// A bus laying over at a terminal between trips has a pause badge and no heading pointer.
+export function getBusIcon({ color, bearing = null, live = false, ghosted = false, dimmed = false, delay = 0, cancelled = false, layover = false, offset = [0, 0] }) {
+    const heading = typeof bearing === 'number' && !layover
+        ? (Math.round(bearing / BEARING_STEP) * BEARING_STEP) % 360
+        : null;
+    const lateMinutes = cancelled ? 0 : Math.floor(delay / 60);
+    const key = `${color}|${heading}|${live}|${ghosted}|${dimmed}|${lateMinutes}|${cancelled}|${layover}|${offset[0]},${offset[1]}`;
+    if (iconCache.has(key)) return iconCache.get(key);
+
+    const pointer = heading === null ? '' : `
+        <div style="position: absolute; inset: -7px; transform: rotate(${heading}deg); pointer-events: none;">
+            <div style="position: absolute; top: 0; left: 50%; margin-left: -5px; width: 0; height: 0; border-left: 5px solid transparent; border-right: 5px solid transparent; border-bottom: 6px solid ${color}; filter: drop-shadow(0 0 1px white);"></div>
+        </div>`;
+    const liveDot = live
+        ? '<span style="position: absolute; top: -4px; right: -4px; width: 9px; height: 9px; border-radius: 9999px; background: #22c55e; border: 2px solid white;"></span>'
+        : '';
+    const lateTag = lateMinutes > 0
+        ? `<span style="position: absolute; bottom: -8px; left: 50%; transform: translateX(-50%); padding: 0 3px; border-radius: 3px; background: #f59e0b; color: #111827; font: bold 9px/11px sans-serif; white-space: nowrap;">+${lateMinutes}</span>`
+        : '';
+    const cancelledMark = cancelled
+        ? '<span style="position: absolute; top: -5px; left: -5px; width: 12px; height: 12px; border-radius: 9999px; background: #ef4444; border: 1px solid white; color: white; font: bold 9px/10px sans-serif; text-align: center;">&#x2715;</span>'
+        : '';
+    const layoverMark = layover
+        ? '<span style="position: absolute; top: -5px; left: -5px; width: 12px; height: 12px; border-radius: 9999px; background: #475569; border: 1px solid white; color: white; font: bold 7px/10px sans-serif; text-align: center;">&#x275A;&#x275A;</span>'
+        : '';
+
+    const icon = new L.DivIcon({
+        className: 'custom-bus-icon',
+        html: `<div style="position: relative; opacity: ${dimmed ? 0.2 : ghosted || cancelled ? 0.45 : 1}; background-color: ${color}; border: 2px ${cancelled ? 'dashed' : 'solid'} white; border-radius: 4px; padding: 2px; width: ${ICON_SIZE}px; height: ${ICON_SIZE}px; box-sizing: border-box; display: flex; align-items: center; justify-content: center; box-shadow: 0 2px 4px rgba(0,0,0,0.3);">
+                ${pointer}
+                ${liveDot}
+                ${lateTag}
+                ${cancelledMark}
+                ${layoverMark}
+                ${BUS_SVG}
+               </div>`,
+        iconSize: [ICON_SIZE, ICON_SIZE],
+        iconAnchor: [ICON_SIZE / 2 - offset[0], ICON_SIZE / 2 - offset[1]],
+        popupAnchor: [offset[0], offset[1] - ICON_SIZE / 2]
+    });
+    iconCache.set(key, icon);
+    return icon;
+}
+
+// Helper: Pixel offsets that fan out buses sharing a spot (e.g. several laying over at a terminal).
+// Takes [{ key, position }] and returns { key: [dx, dy] } for every bus.
+export function fanOutBuses(buses) {
+    const groups = new Map();
+    buses.forEach(bus => {
+        const spot = `${bus.position[0].toFixed(OVERLAP_PRECISION)},${bus.position[1].toFixed(OVERLAP_PRECISION)}`;
+        if (!groups.has(spot)) groups.set(spot, []);
+        groups.get(spot).push(bus.key);
+    });
+
+    const offsets = {};
+    groups.forEach(keys => {
+        if (keys.length === 1) {
+            offsets[keys[0]] = [0, 0];
+            return;
+        }
+        // Stable order so buses don't swap places from frame to frame
+        keys.sort().forEach((key, i) => {
+            const angle = (2 * Math.PI * i) / keys.length - Math.PI / 2;
+            offsets[key] = [Math.round(Math.cos(angle) * FAN_RADIUS), Math.round(Math.sin(angle) * FAN_RADIUS)];
+        });
+    });
+    return offsets;
+}
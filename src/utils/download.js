@@ -0,0 +1,19 @@
+// Browser helpers for exports: save generated text as a file, or open it in a new tab
+
+// Helper: Download text content as a file
+export function downloadFile(filename, content, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Helper: Open an HTML document in a new tab, e.g. a timetable to print or save as PDF
+export function openHTML(html) {
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    window.open(url, '_blank');
+    // The new tab has loaded the document well before this; free the blob afterwards
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
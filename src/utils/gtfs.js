@@ -1,46 +1,85 @@
+import { decodeSchedule, getRouteFiles, forEachStopCall } from './scheduleFormat.js';
+
+// Feeds published without agency.json (or with an invalid agency_timezone) are assumed to be Malaysian
+export const DEFAULT_TIMEZONE = 'Asia/Kuala_Lumpur';
+
+const fetchJSON = (path) => fetch(`/data/${path}`).then(r => {
+    if (!r.ok) throw new Error(`Failed to load ${path}: ${r.status}`);
+    return r.json();
+});
+
+// Default reader: a feed's processed files, served from public/data/<feedId>
+const feedReader = (feedId) => (file) => fetchJSON(`${feedId}/${file}`);
+
 // Loaders
-export async function loadData() {
-    const [routes, stops, shapes, schedule, calendar] = await Promise.all([
-        fetch('/data/routes.json').then(r => r.json()),
-        fetch('/data/stops.json').then(r => r.json()),
-        fetch('/data/shapes.json').then(r => r.json()),
-        fetch('/data/schedule.json').then(r => r.json()),
-        fetch('/data/calendar.json').then(r => r.json()),
+// The processed feeds (public/data/feeds.json, written by the processor):
+// { default, feeds: [{ id, name, bounds: [[south, west], [north, east]], version, center?: [lat, lon], zoom? }] }
+export async function loadFeedIndex() {
+    return fetchJSON('feeds.json');
+}
+
+// readJSON(file) resolves a file relative to the feed's data directory, which lets Node scripts reuse this with fs
+export async function loadData(feedId, readJSON = feedReader(feedId)) {
+    const [routes, stops, shapes, scheduleIndex, calendar, agency, version, fares, blockFile] = await Promise.all([
+        readJSON('routes.json'),
+        readJSON('stops.json'),
+        readJSON('shapes.json'),
+        readJSON('schedule/index.json'),
+        readJSON('calendar.json'),
+        Promise.resolve().then(() => readJSON('agency.json')).catch(() => null),
+        // { version, generatedAt, files }, written by the processor (missing in older data)
+        Promise.resolve().then(() => readJSON('version.json')).catch(() => null),
+        // Fare tables for estimateFare() (missing in older data)
+        Promise.resolve().then(() => readJSON('fares.json')).catch(() => null),
+        // Vehicle blocks (see blocks.js), missing in older data
+        Promise.resolve().then(() => readJSON('blocks.json')).catch(() => null),
     ]);
+    const timezone = agency?.timezone || DEFAULT_TIMEZONE;
+
+    // Feeds processed with --split-routes keep each route's trips in its own file
+    const routeFiles = {};
+    await Promise.all(getRouteFiles(scheduleIndex).map(async ({ routeId, file }) => {
+        routeFiles[routeId] = await readJSON(file);
+    }));
+    // Trips are decoded lazily, on first access
+    const schedule = decodeSchedule(scheduleIndex, routeFiles);
 
     // Enhance routes with distinct colors
     const coloredRoutes = assignRouteColors(routes);
 
-    // Pre-calculate schedules for each stop
-    const stopSchedules = precalculateStopSchedules(schedule, coloredRoutes, calendar);
+    // Pre-calculate schedules for each stop, read from the compact payloads so no trip gets decoded
+    const stopSchedules = precalculateStopSchedules(scheduleIndex, routeFiles, coloredRoutes);
 
-    return { routes: coloredRoutes, stops, shapes, schedule, calendar, stopSchedules };
+    return {
+        feedId, routes: coloredRoutes, stops, shapes, schedule, calendar, stopSchedules, timezone, version, fares,
+        blocks: blockFile?.blocks || [],
+        // The undecoded payloads, for handing the schedule to the simulation worker without decoding it here
+        compactSchedule: { index: scheduleIndex, routeFiles }
+    };
 }
 
 // Helper: Build a map of stopId -> sorted array of arrivals
-function precalculateStopSchedules(schedule, routes, calendar) {
+function precalculateStopSchedules(scheduleIndex, routeFiles, routes) {
     const stopSchedules = {};
+    const routesById = Object.fromEntries(routes.map(route => [route.id, route]));
 
-    Object.keys(schedule).forEach(routeId => {
-        const route = routes.find(r => r.id === routeId);
+    // We include all trips, filtering by active day happens in getNextArrival
+    forEachStopCall(scheduleIndex, routeFiles, (routeId, trip, stopId, index, departure) => {
+        const route = routesById[routeId];
         if (!route) return;
-
-        schedule[routeId].forEach(trip => {
-            // We include all trips for now, filtering by active day happens at runtime lookup usually, 
-            // but to optimize "next bus" we might want to filter by serviceId later.
-            // For static view, we'll store all and filter in getNextArrival.
-            trip.stops.forEach(stop => {
-                if (!stopSchedules[stop.stopId]) {
-                    stopSchedules[stop.stopId] = [];
-                }
-                stopSchedules[stop.stopId].push({
-                    time: timeToSeconds(stop.departure),
-                    route: route,
-                    tripId: trip.tripId,
-                    serviceId: trip.serviceId,
-                    headsign: trip.headsign
-                });
-            });
+        if (!stopSchedules[stopId]) {
+            stopSchedules[stopId] = [];
+        }
+        stopSchedules[stopId].push({
+            time: departure,
+            route: route,
+            tripId: trip.tripId,
+            serviceId: trip.serviceId,
+            directionId: trip.directionId,
+            headsign: trip.headsign,
+            stopIndex: index,
+            // Buses terminating here don't take passengers, departure boards skip them
+            isTerminus: index === trip.stopCount - 1
         });
     });
 
@@ -52,54 +91,153 @@ function precalculateStopSchedules(schedule, routes, calendar) {
     return stopSchedules;
 }
 
-// Helper: Get next arrival for a stop
-export function getNextArrival(stopId, currentTime, stopSchedules, calendar) {
+// Trip updates ({ tripId: { delay, cancelled, stopDelays, skippedStops } }) come from the realtime
+// feed or a simulator scenario. delay shifts the whole trip, stopDelays (seconds per stop, in stop
+// order) override it stop by stop and skippedStops lists the indexes of stops the bus won't call at.
+
+// Helper: Delay in seconds of a trip at one of its stops
+export function getStopDelay(update, stopIndex) {
+    if (!update) return 0;
+    return update.stopDelays?.[stopIndex] ?? update.delay ?? 0;
+}
+
+// Helper: Whether the bus won't call at a stop (trip cancelled or stop skipped)
+export function isCallCancelled(update, stopIndex) {
+    return Boolean(update && (update.cancelled || update.skippedStops?.includes(stopIndex)));
+}
+
+// Helper: Get next arrival for a stop, with trip updates applied
+// Arrivals after midnight may belong to the previous service day (GTFS times past 24:00:00),
+// so both days are considered and the returned time is relative to today's midnight.
+export function getNextArrival(stopId, currentTime, stopSchedules, calendar, serviceDate, tripUpdates = {}) {
     const arrivals = stopSchedules[stopId];
     if (!arrivals) return null;
 
-    const now = new Date(); // Need actual date for service check, strictly we should use simulation date but "today" is implied
-
-    // Find first arrival after currentTime that is active today
+    // Delays can reorder buses, so look at every call rather than the first one after currentTime
     // Linear search is fine here as stops don't have thousands of daily trips
-    const next = arrivals.find(arrival => {
-        return arrival.time > currentTime && isServiceActive(arrival.serviceId, calendar, now);
+    let next = null;
+    getServiceDays(serviceDate).forEach(({ serviceDate: day, offset }) => {
+        arrivals.forEach(a => {
+            const update = tripUpdates[a.tripId];
+            if (isCallCancelled(update, a.stopIndex)) return;
+            const delay = getStopDelay(update, a.stopIndex);
+            const time = a.time - offset + delay;
+            if (time <= currentTime || (next && time >= next.time)) return;
+            if (!isServiceActive(a.serviceId, calendar, day)) return;
+            next = { ...a, time, delay };
+        });
     });
 
     return next;
 }
-// Helper: Get next scheduled trip for a route
-export function getNextRouteTrip(routeId, schedule, calendar, currentTime) {
+// Helper: Upcoming departures from a stop, across all routes, relative to today's midnight.
+// Times include trip updates (scheduledTime keeps the timetable's); cancelled calls stay on the
+// board at their scheduled time, flagged cancelled, so passengers can see what isn't coming.
+export function getDepartures(stopId, currentTime, stopSchedules, calendar, serviceDate, limit = 10, tripUpdates = {}) {
+    const arrivals = stopSchedules[stopId];
+    if (!arrivals) return [];
+
+    const departures = [];
+    getServiceDays(serviceDate).forEach(({ serviceDate: day, offset }) => {
+        arrivals.forEach(a => {
+            if (a.isTerminus) return;
+            const update = tripUpdates[a.tripId];
+            const cancelled = isCallCancelled(update, a.stopIndex);
+            const delay = cancelled ? 0 : getStopDelay(update, a.stopIndex);
+            const scheduledTime = a.time - offset;
+            if (scheduledTime + delay < currentTime) return;
+            if (!isServiceActive(a.serviceId, calendar, day)) return;
+            departures.push({ ...a, time: scheduledTime + delay, scheduledTime, delay, cancelled });
+        });
+    });
+
+    departures.sort((a, b) => a.time - b.time);
+    return departures.slice(0, limit);
+}
+
+// Helper: Every departure from a stop on a service day (the printed timetable view)
+export function getStopTimetable(stopId, stopSchedules, calendar, serviceDate) {
+    const arrivals = stopSchedules[stopId] || [];
+    return arrivals.filter(a => !a.isTerminus && isServiceActive(a.serviceId, calendar, serviceDate));
+}
+
+// Helper: Group departures by route, direction and headsign, keeping the groups ordered by their first departure
+export function groupDepartures(departures) {
+    const groups = [];
+    const byKey = {};
+
+    departures.forEach(departure => {
+        const key = `${departure.route.id}|${departure.directionId}|${departure.headsign}`;
+        if (!byKey[key]) {
+            byKey[key] = { key, route: departure.route, directionId: departure.directionId, headsign: departure.headsign, departures: [] };
+            groups.push(byKey[key]);
+        }
+        byKey[key].departures.push(departure);
+    });
+
+    return groups;
+}
+
+// Helper: Directions a route runs in, each with its most common headsign and stop sequence, e.g.
+// [{ directionId: 0, headsign: 'PENGKALAN CHEPA', stopIds: [...] }, { directionId: 1, headsign: 'KOTA BHARU', stopIds: [...] }]
+export function getRouteDirections(routeId, schedule) {
+    const counts = {};
+    const increment = (map, key) => { map[key] = (map[key] || 0) + 1; };
+    const mostCommon = (map) => Object.entries(map).sort((a, b) => b[1] - a[1])[0][0];
+
+    (schedule[routeId] || []).forEach(trip => {
+        const direction = counts[trip.directionId] || (counts[trip.directionId] = { directionId: trip.directionId, headsigns: {}, sequences: {} });
+        increment(direction.headsigns, trip.headsign);
+        increment(direction.sequences, trip.stopIds.join('\n'));
+    });
+
+    return Object.values(counts)
+        .map(({ directionId, headsigns, sequences }) => ({
+            directionId,
+            headsign: mostCommon(headsigns),
+            stopIds: mostCommon(sequences).split('\n')
+        }))
+        .sort((a, b) => (a.directionId ?? -1) - (b.directionId ?? -1));
+}
+
+// Helper: Get next trip for a route, optionally only in one direction, with trip updates applied
+export function getNextRouteTrip(routeId, schedule, calendar, currentTime, serviceDate, directionId, tripUpdates = {}) {
     const routeTrips = schedule[routeId];
     if (!routeTrips) return null;
 
-    const now = new Date();
-
-    // Filter active trips
-    const activeTrips = routeTrips.filter(trip => isServiceActive(trip.serviceId, calendar, now));
+    // Filter active trips, shifting yesterday's late-night trips onto today's clock
+    const activeTrips = [];
+    getServiceDays(serviceDate).forEach(({ serviceDate: day, offset }) => {
+        routeTrips.forEach(trip => {
+            if (directionId !== undefined && trip.directionId !== directionId) return;
+            const update = tripUpdates[trip.tripId];
+            if (update?.cancelled) return;
+            if (isServiceActive(trip.serviceId, calendar, day)) {
+                const delay = getStopDelay(update, 0);
+                activeTrips.push({ trip, startTime: trip.firstDeparture - offset + delay, offset, delay, update });
+            }
+        });
+    });
 
     // Sort by departure time of the first stop
-    activeTrips.sort((a, b) => {
-        const t1 = timeToSeconds(a.stops[0].departure);
-        const t2 = timeToSeconds(b.stops[0].departure);
-        return t1 - t2;
-    });
+    activeTrips.sort((a, b) => a.startTime - b.startTime);
 
     // Find first trip after currentTime
-    const nextTrip = activeTrips.find(trip => {
-        const startTime = timeToSeconds(trip.stops[0].departure);
-        return startTime > currentTime;
-    });
+    const next = activeTrips.find(({ startTime }) => startTime > currentTime);
 
-    if (!nextTrip) return null;
+    if (!next) return null;
 
-    const firstStop = nextTrip.stops[0];
-    const lastStop = nextTrip.stops[nextTrip.stops.length - 1];
+    const nextTrip = next.trip;
+    const lastIndex = nextTrip.stops.length - 1;
+    const endDelay = getStopDelay(next.update, lastIndex);
 
     return {
         tripId: nextTrip.tripId,
         serviceId: nextTrip.serviceId,
-        startTime: firstStop.departure.substring(0, 5), // "HH:MM"
-        endTime: lastStop.arrival.substring(0, 5),      // "HH:MM"
+        startTime: formatTime(next.startTime),                                                  // "HH:MM"
+        endTime: formatTime(timeToSeconds(nextTrip.stops[lastIndex].arrival) - next.offset + endDelay), // "HH:MM"
+        delay: next.delay,
+        directionId: nextTrip.directionId,
         headsign: nextTrip.headsign
     };
 }
@@ -126,93 +264,140 @@ function assignRouteColors(routes) {
     }));
 }
 
-// Helper to check if a service is active today
-export function isServiceActive(serviceId, calendar, date) {
+// Helper to check if a service runs on a service date ("YYYYMMDD" in the feed's timezone)
+export function isServiceActive(serviceId, calendar, serviceDate) {
     const service = calendar[serviceId];
     if (!service) return false;
 
-    // Check date range
-    const nowStr = date.toISOString().split('T')[0].replace(/-/g, '');
-    if (nowStr < service.startDate || nowStr > service.endDate) return false;
+    // Nothing runs outside the service's validity range (the processor widens it to cover the feed's own
+    // added dates), so a public holiday can't switch on an expired or future service
+    if (serviceDate < service.startDate || serviceDate > service.endDate) return false;
+
+    // calendar_dates.txt exceptions and public holidays override the weekly pattern
+    if (service.removed && service.removed.includes(serviceDate)) return false;
+    if (service.added && service.added.includes(serviceDate)) return true;
 
     // Check day of week
-    const day = date.getDay(); // 0 = Sunday
+    const day = getWeekday(serviceDate); // 0 = Sunday
     const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     return service[days[day]];
 }
 
+// Helper: Service ids running on a service date, e.g. ["WEEKEND"] on a public holiday
+export function getActiveServices(calendar, serviceDate) {
+    return Object.keys(calendar).filter(serviceId => isServiceActive(serviceId, calendar, serviceDate));
+}
+
+// Helper: Service days that can have trips running at a given time of day.
+// GTFS times are measured from noon minus 12h of the service day and may exceed 24:00:00,
+// so just after midnight the previous day's late trips are still on the road.
+export function getServiceDays(serviceDate) {
+    return [
+        { serviceDate, offset: 0 },
+        { serviceDate: addDays(serviceDate, -1), offset: 86400 }
+    ];
+}
+
 // Convert "HH:mm:ss" to seconds from midnight
 export function timeToSeconds(timeStr) {
     const [h, m, s] = timeStr.split(':').map(Number);
     return h * 3600 + m * 60 + s;
 }
 
-// Get current time in seconds
-export function getCurrentTimeSeconds() {
-    const now = new Date();
-    return now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+// Format seconds from midnight as "HH:MM", wrapping times past 24:00:00
+export function formatTime(seconds) {
+    const wrapped = ((seconds % 86400) + 86400) % 86400;
+    const h = Math.floor(wrapped / 3600);
+    const m = Math.floor((wrapped % 3600) / 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
 }
 
+// Get current time in seconds, as seen by a clock in the feed's timezone
+export function getCurrentTimeSeconds(timeZone = DEFAULT_TIMEZONE) {
+    return getZonedTime(new Date(), timeZone).seconds;
+}
 
-// Interpolate position along the actual shape path
-// 1. Snap start/end stops to indices on the shape
-// 2. Calculate partial distance based on progress
-// 3. Walk the shape segments to find the exact point
-export function interpolatePositionOnShape(shape, stopFrom, stopTo, progress) {
-    if (!shape || shape.length < 2) return [stopFrom.lat, stopFrom.lon];
-
-    // Cache these indices if performance becomes an issue
-    // For now, finding closest point on each frame/segment change is okay for valid fleet sizes
-    // For now, finding closest point on each frame/segment change is okay for valid fleet sizes
-    const idx1 = findClosestPointIndex(shape, stopFrom, 0);
-    let idx2 = findClosestPointIndex(shape, stopTo, idx1);
-
-    // Ensure directionality (idx2 should be after idx1)
-    // If we can't find a good point after idx1, it likely means idx1 was a later loop point
-    // or the shape is weird. But usually simply searching forward works.
-    if (idx2 < idx1) {
-        // Fallback: try to find idx2 globally, maybe idx1 was wrong?
-        // But for now, let's just clamp to avoid backward movement.
-        idx2 = idx1;
+// Helper: Split an instant into the local calendar date ("YYYYMMDD") and seconds since midnight
+// in the given timezone, independent of the browser's own timezone.
+const zonedFormatters = {};
+export function getZonedTime(date, timeZone = DEFAULT_TIMEZONE) {
+    if (!zonedFormatters[timeZone]) {
+        zonedFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
     }
+    const parts = {};
+    zonedFormatters[timeZone].formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
 
-    // Extract the sub-segment of the shape
-    const path = shape.slice(idx1, idx2 + 1);
-
-    // If path is too short (just one point), return that point
-    if (path.length < 2) return [stopFrom.lat, stopFrom.lon];
+    return {
+        serviceDate: `${parts.year}${parts.month}${parts.day}`,
+        seconds: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second)
+    };
+}
 
-    // Calculate total distance of this path segment
-    const distances = [];
-    let totalDist = 0;
-    for (let i = 0; i < path.length - 1; i++) {
-        const d = haversineDistance(path[i], path[i + 1]);
-        distances.push(d);
-        totalDist += d;
+// Helper: The instant a service day's clock in the given timezone reads `seconds` (the inverse of
+// getZonedTime). GTFS times past 24:00:00 land on the following calendar day.
+export function getInstant(serviceDate, seconds, timeZone = DEFAULT_TIMEZONE) {
+    const target = serviceDateToUTC(serviceDate).getTime() + seconds * 1000;
+    let instant = target;
+    // Shift by the zone's UTC offset; a second pass settles instants near a DST change
+    for (let i = 0; i < 2; i++) {
+        const local = getZonedTime(new Date(instant), timeZone);
+        instant += target - (serviceDateToUTC(local.serviceDate).getTime() + local.seconds * 1000);
     }
+    return new Date(instant);
+}
 
-    // Target distance to travel
-    let targetDist = totalDist * progress;
-
-    // Walk the segments to find where we are
-    let currentDist = 0;
-    for (let i = 0; i < distances.length; i++) {
-        const d = distances[i];
-        if (currentDist + d >= targetDist) {
-            // We are in this segment
-            const segmentProgress = (targetDist - currentDist) / d;
-            const p1 = path[i];
-            const p2 = path[i + 1];
-
-            const lat = p1[0] + (p2[0] - p1[0]) * segmentProgress;
-            const lon = p1[1] + (p2[1] - p1[1]) * segmentProgress;
-            return [lat, lon];
-        }
-        currentDist += d;
+// Helper: Advance a simulation clock ({ serviceDate, seconds }), rolling over into the next day at midnight
+export function advanceClock(clock, seconds) {
+    let { serviceDate } = clock;
+    let next = clock.seconds + seconds;
+    while (next >= 86400) {
+        next -= 86400;
+        serviceDate = addDays(serviceDate, 1);
+    }
+    while (next < 0) {
+        next += 86400;
+        serviceDate = addDays(serviceDate, -1);
     }
+    return { serviceDate, seconds: next };
+}
 
-    // Fallback to last point
-    return [path[path.length - 1][0], path[path.length - 1][1]];
+// Helper: Shift a "YYYYMMDD" date by whole days
+export function addDays(serviceDate, days) {
+    const date = serviceDateToUTC(serviceDate);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Helper: Day of week (0 = Sunday) of a "YYYYMMDD" date
+export function getWeekday(serviceDate) {
+    return serviceDateToUTC(serviceDate).getUTCDay();
+}
+
+function serviceDateToUTC(serviceDate) {
+    const y = Number(serviceDate.slice(0, 4));
+    const m = Number(serviceDate.slice(4, 6));
+    const d = Number(serviceDate.slice(6, 8));
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+
+// Helper: Portion of a shape between two stops, for drawing a ride along the actual road
+export function getShapeSegment(shape, stopFrom, stopTo) {
+    if (!shape || shape.length < 2) return [[stopFrom.lat, stopFrom.lon], [stopTo.lat, stopTo.lon]];
+
+    const idx1 = findClosestPointIndex(shape, stopFrom, 0);
+    const idx2 = findClosestPointIndex(shape, stopTo, idx1);
+    const path = shape.slice(idx1, Math.max(idx1, idx2) + 1);
+
+    // Always start and end exactly at the stops
+    return [[stopFrom.lat, stopFrom.lon], ...path, [stopTo.lat, stopTo.lon]];
 }
 
 // Helper: Find index of closest shape point to a stop
@@ -232,7 +417,7 @@ function findClosestPointIndex(shape, stop, startIndex = 0) {
 }
 
 // Helper: Distance in meters (approx)
-function haversineDistance(p1, p2) {
+export function haversineDistance(p1, p2) {
     const R = 6371e3; // metres
     const φ1 = p1[0] * Math.PI / 180; // φ, λ in radians
     const φ2 = p2[0] * Math.PI / 180;
@@ -247,3 +432,120 @@ function haversineDistance(p1, p2) {
     return R * c;
 }
 
+// Fares
+// data.fares is fares.json from the processor: the feed's GTFS Fares v2 or fare_attributes/fare_rules
+// tables when it publishes them, otherwise the local fare table keyed by the route's fare_rule.
+// Every estimate has an adult and a concession price; feeds that only publish one price get the
+// concession worked out from the local table's concessionRatio.
+
+export const FARE_CATEGORIES = { adult: 'Adult', concession: 'Concession' };
+const CONCESSION_CATEGORY = /concession|student|senior|child|youth|disab|oku|pelajar|warga emas/i;
+
+// Helper: Estimated fare for riding `trip` of `route` from its stop at fromIndex to the one at toIndex:
+// { adult, concession, currency, distance, source }, or null when the feed and fare table don't price it.
+// distance is in metres along the trip's stops.
+export function estimateFare(trip, route, fromIndex, toIndex, data) {
+    const { fares, stops } = data;
+    if (!fares || fromIndex >= toIndex) return null;
+
+    const rideStops = trip.stops.slice(fromIndex, toIndex + 1).map(s => stops[s.stopId]);
+    if (rideStops.includes(undefined)) return null;
+    // Straight lines between consecutive stops, which are close enough together to follow the road
+    let distance = 0;
+    for (let i = 1; i < rideStops.length; i++) {
+        distance += haversineDistance([rideStops[i - 1].lat, rideStops[i - 1].lon], [rideStops[i].lat, rideStops[i].lon]);
+    }
+
+    let fare = null;
+    let source = null;
+    if (fares.legRules) {
+        fare = fareFromLegRules(fares, route.id, trip.stops[fromIndex].stopId, trip.stops[toIndex].stopId);
+        source = 'feed';
+    } else if (fares.fareAttributes) {
+        fare = fareFromFareRules(fares, route.id, rideStops);
+        source = 'feed';
+    } else {
+        fare = fareFromTable(fares, route.fareRule, distance);
+        source = 'table';
+    }
+    if (!fare || fare.adult === undefined) return null;
+
+    const concession = fare.concession ?? (fares.concessionRatio != null ? roundFare(fare.adult * fares.concessionRatio) : null);
+    return { adult: fare.adult, concession, currency: fare.currency || fares.currency, distance, source };
+}
+
+// Helper: "RM1.50"
+export function formatFare(amount, currency) {
+    if (amount === null || amount === undefined) return '–';
+    if (!currency) return amount.toFixed(2);
+    return new Intl.NumberFormat('en-MY', { style: 'currency', currency }).format(amount);
+}
+
+const roundFare = (amount) => Math.round(amount * 100) / 100;
+
+// GTFS Fares v2: the matching fare_leg_rules with the highest rule_priority, the most specific
+// (network, from area, to area) of those, and the cheapest product per rider category
+function fareFromLegRules(fares, routeId, fromStopId, toStopId) {
+    const networkId = fares.routeNetworks?.[routeId];
+    const fromAreas = fares.stopAreas?.[fromStopId] || [];
+    const toAreas = fares.stopAreas?.[toStopId] || [];
+    const matches = fares.legRules.filter(rule =>
+        (!rule.networkId || rule.networkId === networkId) &&
+        (!rule.fromAreaId || fromAreas.includes(rule.fromAreaId)) &&
+        (!rule.toAreaId || toAreas.includes(rule.toAreaId))
+    );
+    if (matches.length === 0) return null;
+
+    const priority = Math.max(...matches.map(rule => rule.priority));
+    const specificity = (rule) => [rule.networkId, rule.fromAreaId, rule.toAreaId].filter(Boolean).length;
+    const candidates = matches.filter(rule => rule.priority === priority);
+    const mostSpecific = Math.max(...candidates.map(specificity));
+    const products = candidates
+        .filter(rule => specificity(rule) === mostSpecific)
+        .flatMap(rule => fares.products[rule.productId] || []);
+
+    const categoryOf = (product) => {
+        const category = fares.riderCategories?.[product.riderCategoryId];
+        if (!category || category.isDefault) return 'adult';
+        return CONCESSION_CATEGORY.test(category.name) ? 'concession' : null;
+    };
+    const cheapest = (category) => {
+        const amounts = products.filter(p => categoryOf(p) === category).map(p => p.amount);
+        return amounts.length > 0 ? Math.min(...amounts) : undefined;
+    };
+    return { adult: cheapest('adult'), concession: cheapest('concession'), currency: products[0]?.currency };
+}
+
+// GTFS Fares v1: the cheapest fare_id with a fare_rules row matching the route and the zones ridden.
+// A fare with no rules at all applies to every ride.
+function fareFromFareRules(fares, routeId, rideStops) {
+    const fromZone = rideStops[0].zone;
+    const toZone = rideStops[rideStops.length - 1].zone;
+    const zones = new Set(rideStops.map(stop => stop.zone).filter(Boolean));
+    const ruled = new Set(fares.fareRules.map(rule => rule.fareId));
+
+    const fareIds = Object.keys(fares.fareAttributes).filter(fareId => !ruled.has(fareId) || fares.fareRules.some(rule =>
+        rule.fareId === fareId &&
+        (!rule.routeId || rule.routeId === routeId) &&
+        (!rule.originId || rule.originId === fromZone) &&
+        (!rule.destinationId || rule.destinationId === toZone) &&
+        (!rule.containsId || zones.has(rule.containsId))
+    ));
+    if (fareIds.length === 0) return null;
+
+    const { price, currency } = fareIds
+        .map(fareId => fares.fareAttributes[fareId])
+        .reduce((best, fare) => (fare.price < best.price ? fare : best));
+    return { adult: price, currency };
+}
+
+// Local fare table: a flat fare, or the stage covering the distance ridden
+function fareFromTable(fares, fareRule, distance) {
+    const rule = fares.rules?.[fareRule];
+    if (!rule) return null;
+    if (rule.type === 'flat') return { adult: rule.adult, concession: rule.concession };
+
+    const km = distance / 1000;
+    const stage = rule.stages.find(s => s.upToKm === null || km <= s.upToKm) || rule.stages[rule.stages.length - 1];
+    return { adult: stage.adult, concession: stage.concession };
+}
@@ -0,0 +1,65 @@
+import { getEarliestArrivals, WALK_SPEED, WALK_DETOUR, MAX_ACCESS_WALK } from './planner.js';
+
+// Isochrones: everywhere reachable from a stop or pin within 15/30/45/60 minutes by bus and on foot.
+// getEarliestArrivals() runs one-to-all RAPTOR over the service day's timetable, so waiting for the
+// next bus and changing buses count just as in the journey planner. Whatever time is left at a stop
+// is spent walking (up to MAX_ACCESS_WALK, as for planner access legs), so a band is the union of the
+// walking circles around every stop reached in time, plus the one around the origin itself.
+
+export const ISOCHRONE_BANDS = [
+    { minutes: 15, color: '#22c55e' },
+    { minutes: 30, color: '#eab308' },
+    { minutes: 45, color: '#f97316' },
+    { minutes: 60, color: '#ef4444' }
+];
+
+const CIRCLE_POINTS = 24;
+const MIN_RADIUS = 25; // metres, a stop reached with less spare time than this adds nothing visible
+const METRES_PER_DEGREE = 111320;
+
+const walkRadius = (seconds) => Math.min(seconds * WALK_SPEED / WALK_DETOUR, MAX_ACCESS_WALK);
+
+// Helper: A circle as a closed ring of [lat, lon] (equirectangular, fine at city scale)
+function circleRing([lat, lon], radius) {
+    const dLat = radius / METRES_PER_DEGREE;
+    const dLon = radius / (METRES_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+    return Array.from({ length: CIRCLE_POINTS }, (_, i) => {
+        const angle = (2 * Math.PI * i) / CIRCLE_POINTS;
+        return [lat + dLat * Math.sin(angle), lon + dLon * Math.cos(angle)];
+    });
+}
+
+// Helper: Reachability bands from an origin ({ stopId } or { lat, lon }) leaving at departureTime
+// (seconds on the timetable's service day): { arrivals, bands: [{ minutes, color, stopIds, rings }] }.
+// stopIds are the stops the search reaches within the band, earliest first, and rings the walking
+// circles; drawn with a nonzero fill rule the overlapping rings read as one polygon.
+export function computeIsochrones(timetable, data, origin, departureTime, bands = ISOCHRONE_BANDS) {
+    const maxSeconds = Math.max(...bands.map(band => band.minutes * 60));
+    const arrivals = getEarliestArrivals(timetable, data, origin, departureTime, { horizon: departureTime + maxSeconds });
+
+    const originPoint = origin.stopId
+        ? [data.stops[origin.stopId].lat, data.stops[origin.stopId].lon]
+        : [origin.lat, origin.lon];
+    const reached = [
+        { stopId: null, point: originPoint, time: departureTime },
+        ...Object.entries(arrivals)
+            .filter(([stopId]) => data.stops[stopId])
+            .map(([stopId, time]) => ({ stopId, point: [data.stops[stopId].lat, data.stops[stopId].lon], time }))
+    ].sort((a, b) => a.time - b.time);
+
+    return {
+        arrivals,
+        bands: bands.map(band => {
+            const deadline = departureTime + band.minutes * 60;
+            const inBand = reached.filter(r => r.time <= deadline);
+            return {
+                ...band,
+                stopIds: inBand.filter(r => r.stopId).map(r => r.stopId),
+                rings: inBand
+                    .map(r => ({ point: r.point, radius: walkRadius(deadline - r.time) }))
+                    .filter(r => r.radius >= MIN_RADIUS)
+                    .map(r => circleRing(r.point, r.radius))
+            };
+        })
+    };
+}
@@ -0,0 +1,25 @@
+// Offline support: service worker registration and processed-data version checks (see public/sw.js)
+
+const DATA_CACHE = 'kb-data-v2'; // must match public/sw.js
+
+// Helper: Register the service worker in production builds (in dev it would cache Vite's modules)
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .catch(err => console.warn("Service worker registration failed:", err));
+    });
+}
+
+// Helper: A feed's data version on the server; no-store makes the service worker go to the network
+export async function fetchLatestVersion(feedId) {
+    const response = await fetch(`/data/${feedId}/version.json`, { cache: 'no-store' });
+    if (!response.ok) throw new Error(`Failed to load version.json: ${response.status}`);
+    return response.json();
+}
+
+// Helper: Forget the cached data and reload, so the newer feed is fetched (and cached) instead
+export async function switchToLatestData() {
+    if ('caches' in window) await caches.delete(DATA_CACHE);
+    window.location.reload();
+}
@@ -0,0 +1,359 @@
+import { isServiceActive, getServiceDays, timeToSeconds, haversineDistance } from './gtfs.js';
+
+// Journey planner based on RAPTOR (Delling, Pajor & Werneck, 2012).
+// Each round k finds the earliest arrival at every stop using at most k buses, which gives
+// us the Pareto set of (arrival time, number of transfers) for free.
+
+export const WALK_SPEED = 1.2;           // m/s
+export const WALK_DETOUR = 1.25;         // straight-line distance -> street distance
+export const MAX_ACCESS_WALK = 800;      // metres between a map point and a stop
+export const MAX_TRANSFER_WALK = 300;    // metres between two stops when changing buses
+export const MIN_TRANSFER_TIME = 60;     // seconds to get off one bus and onto the next
+export const MAX_TRANSFERS = 3;
+
+const walkSeconds = (metres) => Math.round(metres * WALK_DETOUR / WALK_SPEED);
+
+// Helper: Build the RAPTOR timetable for a service day.
+// Trips are grouped into patterns (same route, same stop sequence) and times are made
+// relative to the service day's midnight, pulling in yesterday's trips that run past 24:00:00.
+export function buildTimetable(data, serviceDate) {
+    const patternsByKey = {};
+
+    getServiceDays(serviceDate).forEach(({ serviceDate: day, offset }) => {
+        Object.entries(data.schedule).forEach(([routeId, trips]) => {
+            trips.forEach(trip => {
+                if (!isServiceActive(trip.serviceId, data.calendar, day)) return;
+
+                const arr = trip.stops.map(s => timeToSeconds(s.arrival) - offset);
+                const dep = trip.stops.map(s => timeToSeconds(s.departure) - offset);
+                if (arr[arr.length - 1] < 0) return; // yesterday's trip that finished before midnight
+
+                const stopIds = trip.stops.map(s => s.stopId);
+                const key = `${routeId}|${stopIds.join(',')}`;
+                if (!patternsByKey[key]) patternsByKey[key] = { routeId, stops: stopIds, trips: [] };
+                patternsByKey[key].trips.push({ trip, arr, dep });
+            });
+        });
+    });
+
+    const patterns = Object.values(patternsByKey);
+    patterns.forEach(pattern => pattern.trips.sort((a, b) => a.dep[0] - b.dep[0]));
+
+    // stopId -> every (pattern, position) serving it
+    const stopPatterns = {};
+    patterns.forEach((pattern, index) => {
+        pattern.stops.forEach((stopId, pos) => {
+            if (!stopPatterns[stopId]) stopPatterns[stopId] = [];
+            stopPatterns[stopId].push({ pattern: index, pos });
+        });
+    });
+
+    return { serviceDate, patterns, stopPatterns, footpaths: buildFootpaths(data.stops) };
+}
+
+// Helper: Walking transfers between nearby stops
+function buildFootpaths(stops) {
+    const entries = Object.entries(stops);
+    const footpaths = {};
+
+    entries.forEach(([fromId, from]) => {
+        footpaths[fromId] = [];
+        entries.forEach(([toId, to]) => {
+            if (fromId === toId) return;
+            const distance = haversineDistance([from.lat, from.lon], [to.lat, to.lon]);
+            if (distance <= MAX_TRANSFER_WALK) {
+                footpaths[fromId].push({ stopId: toId, distance, duration: walkSeconds(distance) });
+            }
+        });
+    });
+
+    return footpaths;
+}
+
+// Helper: Stops reachable on foot from an endpoint ({ stopId } or { lat, lon })
+export function getAccessStops(endpoint, stops, maxWalk = MAX_ACCESS_WALK) {
+    if (endpoint.stopId) {
+        return [{ stopId: endpoint.stopId, distance: 0, duration: 0 }];
+    }
+
+    return Object.entries(stops)
+        .map(([stopId, stop]) => {
+            const distance = haversineDistance([endpoint.lat, endpoint.lon], [stop.lat, stop.lon]);
+            return { stopId, distance, duration: walkSeconds(distance) };
+        })
+        .filter(access => access.distance <= maxWalk)
+        .sort((a, b) => a.distance - b.distance);
+}
+
+// Run RAPTOR once for a single departure time, returning one itinerary per number of buses
+// that improves on the arrival time of itineraries with fewer buses, and the earliest arrival
+// at every stop reached: { itineraries, arrivals }. Nothing arriving after `horizon` is explored.
+function raptor(timetable, access, egress, departureTime, maxTransfers, horizon = Infinity) {
+    const { patterns, stopPatterns, footpaths } = timetable;
+
+    // rounds[k].arrival holds the best arrival using at most k buses, parent only what round k improved
+    const rounds = [{ arrival: {}, parent: {} }];
+    const best = {};
+    let marked = new Set();
+
+    access.forEach(a => {
+        const t = departureTime + a.duration;
+        if (t < (rounds[0].arrival[a.stopId] ?? Infinity)) {
+            rounds[0].arrival[a.stopId] = t;
+            rounds[0].parent[a.stopId] = { type: 'access', access: a };
+            best[a.stopId] = t;
+            marked.add(a.stopId);
+        }
+    });
+
+    const targetArrival = (arrival) => {
+        let result = null;
+        egress.forEach(e => {
+            const t = arrival[e.stopId];
+            if (t === undefined) return;
+            if (!result || t + e.duration < result.time) result = { time: t + e.duration, egress: e };
+        });
+        return result;
+    };
+
+    const found = [];
+    let bestTarget = horizon;
+
+    for (let k = 1; k <= maxTransfers + 1 && marked.size > 0; k++) {
+        const prev = rounds[k - 1];
+        const round = { arrival: { ...prev.arrival }, parent: {} };
+        rounds.push(round);
+
+        // Patterns to scan, starting from their earliest marked stop
+        const queue = new Map();
+        marked.forEach(stopId => {
+            (stopPatterns[stopId] || []).forEach(({ pattern, pos }) => {
+                if (!queue.has(pattern) || pos < queue.get(pattern)) queue.set(pattern, pos);
+            });
+        });
+
+        const improved = new Set();
+        queue.forEach((startPos, patternIndex) => {
+            const pattern = patterns[patternIndex];
+            let tripIndex = -1;
+            let boardPos = -1;
+
+            for (let pos = startPos; pos < pattern.stops.length; pos++) {
+                const stopId = pattern.stops[pos];
+
+                // Alight here if it beats what we already have
+                if (tripIndex >= 0) {
+                    const t = pattern.trips[tripIndex].arr[pos];
+                    if (t < Math.min(best[stopId] ?? Infinity, bestTarget)) {
+                        round.arrival[stopId] = t;
+                        round.parent[stopId] = { type: 'ride', pattern: patternIndex, tripIndex, boardPos, alightPos: pos };
+                        best[stopId] = t;
+                        improved.add(stopId);
+                    }
+                }
+
+                // Board (or switch to) the earliest trip we can catch here
+                const prevArrival = prev.arrival[stopId];
+                if (prevArrival === undefined) continue;
+                const ready = prevArrival + (k > 1 ? MIN_TRANSFER_TIME : 0);
+                if (tripIndex >= 0 && ready > pattern.trips[tripIndex].dep[pos]) continue;
+
+                const earliest = pattern.trips.findIndex(t => t.dep[pos] >= ready);
+                if (earliest >= 0 && earliest !== tripIndex) {
+                    tripIndex = earliest;
+                    boardPos = pos;
+                }
+            }
+        });
+
+        // Walking transfers from the stops we just reached by bus
+        const walked = new Set();
+        improved.forEach(stopId => {
+            (footpaths[stopId] || []).forEach(fp => {
+                const t = round.arrival[stopId] + fp.duration;
+                if (t < Math.min(best[fp.stopId] ?? Infinity, bestTarget)) {
+                    round.arrival[fp.stopId] = t;
+                    round.parent[fp.stopId] = { type: 'walk', from: stopId, footpath: fp };
+                    best[fp.stopId] = t;
+                    walked.add(fp.stopId);
+                }
+            });
+        });
+
+        marked = new Set([...improved, ...walked]);
+
+        const target = targetArrival(round.arrival);
+        if (target && target.time < bestTarget) {
+            bestTarget = target.time;
+            found.push(reconstruct(rounds, k, target.egress, timetable));
+        }
+    }
+
+    return { itineraries: found, arrivals: best };
+}
+
+// Walk the parent pointers back from the destination to build the list of legs
+function reconstruct(rounds, k, egress, timetable) {
+    const legs = [];
+    let stopId = egress.stopId;
+    let round = k;
+
+    for (;;) {
+        while (round > 0 && !rounds[round].parent[stopId]) round--;
+        const parent = rounds[round].parent[stopId];
+
+        if (parent.type === 'access') {
+            legs.unshift({ type: 'access', stopId, access: parent.access });
+            break;
+        }
+
+        if (parent.type === 'walk') {
+            const departureTime = rounds[round].arrival[parent.from];
+            legs.unshift({
+                type: 'walk',
+                fromStopId: parent.from,
+                toStopId: stopId,
+                distance: parent.footpath.distance,
+                departureTime,
+                arrivalTime: departureTime + parent.footpath.duration
+            });
+            stopId = parent.from;
+            continue;
+        }
+
+        const pattern = timetable.patterns[parent.pattern];
+        const { trip, arr, dep } = pattern.trips[parent.tripIndex];
+        legs.unshift({
+            type: 'ride',
+            routeId: pattern.routeId,
+            tripId: trip.tripId,
+            shapeId: trip.shapeId,
+            headsign: trip.headsign,
+            fromStopId: pattern.stops[parent.boardPos],
+            toStopId: stopId,
+            stopIds: pattern.stops.slice(parent.boardPos, parent.alightPos + 1),
+            departureTime: dep[parent.boardPos],
+            arrivalTime: arr[parent.alightPos]
+        });
+        stopId = pattern.stops[parent.boardPos];
+        round--;
+    }
+
+    return { legs, egress };
+}
+
+// Helper: Plan itineraries between two endpoints ({ stopId } or { lat, lon }).
+// Re-runs RAPTOR just after each found departure to offer later alternatives,
+// then ranks everything by arrival time and number of transfers.
+export function planJourneys(timetable, data, origin, destination, departureTime, options = {}) {
+    const { maxTransfers = MAX_TRANSFERS, alternatives = 3 } = options;
+    const access = getAccessStops(origin, data.stops);
+    const egress = getAccessStops(destination, data.stops);
+    if (access.length === 0 || egress.length === 0) return [];
+
+    const itineraries = [];
+    const seen = new Set();
+    let searchTime = departureTime;
+
+    for (let i = 0; i < alternatives; i++) {
+        const found = raptor(timetable, access, egress, searchTime, maxTransfers).itineraries
+            .map(raw => toItinerary(raw, origin, destination, searchTime, data))
+            .filter(Boolean);
+        if (found.length === 0) break;
+
+        found.forEach(itinerary => {
+            const signature = itinerary.legs.filter(l => l.type === 'ride').map(l => l.tripId).join('>');
+            if (seen.has(signature)) return;
+            seen.add(signature);
+            itineraries.push(itinerary);
+        });
+
+        // Next search starts just after the earliest bus any of these itineraries boards
+        const firstBoardings = found.map(it => it.legs.find(l => l.type === 'ride')?.departureTime).filter(t => t !== undefined);
+        if (firstBoardings.length === 0) break;
+        searchTime = Math.min(...firstBoardings) + 1;
+    }
+
+    return itineraries.sort((a, b) =>
+        a.arrivalTime - b.arrivalTime || a.transfers - b.transfers || b.departureTime - a.departureTime
+    );
+}
+
+// Helper: Earliest arrival (seconds on the service day) at every stop reachable from an endpoint
+// ({ stopId } or { lat, lon }) by `horizon`: RAPTOR without a destination, i.e. one-to-all.
+export function getEarliestArrivals(timetable, data, origin, departureTime, options = {}) {
+    const { maxTransfers = MAX_TRANSFERS, horizon = Infinity } = options;
+    const access = getAccessStops(origin, data.stops);
+    return raptor(timetable, access, [], departureTime, maxTransfers, horizon).arrivals;
+}
+
+// Helper: Turn raw RAPTOR legs into a displayable itinerary with coordinates on every leg.
+// Null when origin and destination are the same place.
+function toItinerary({ legs, egress }, origin, destination, searchTime, data) {
+    const pointOf = (endpoint) => endpoint.stopId
+        ? [data.stops[endpoint.stopId].lat, data.stops[endpoint.stopId].lon]
+        : [endpoint.lat, endpoint.lon];
+    const stopPoint = (stopId) => [data.stops[stopId].lat, data.stops[stopId].lon];
+
+    const rides = legs.filter(l => l.type === 'ride');
+
+    // Reached without a bus (both ends near the same stop): one walk straight there, not via the stop
+    if (rides.length === 0) {
+        const from = pointOf(origin);
+        const to = pointOf(destination);
+        const distance = haversineDistance(from, to);
+        if (distance === 0) return null;
+        const arrivalTime = searchTime + walkSeconds(distance);
+        return {
+            legs: [{ type: 'walk', from, to, fromStopId: origin.stopId, toStopId: destination.stopId, distance, departureTime: searchTime, arrivalTime }],
+            departureTime: searchTime,
+            arrivalTime,
+            transfers: 0,
+            walkDistance: distance
+        };
+    }
+
+    const result = [];
+
+    legs.forEach(leg => {
+        if (leg.type === 'access') {
+            if (leg.access.duration === 0) return;
+            // Leave just in time for the first bus rather than at the search time
+            const arrivalTime = rides.length ? rides[0].departureTime : searchTime + leg.access.duration;
+            result.push({
+                type: 'walk',
+                from: pointOf(origin),
+                to: stopPoint(leg.stopId),
+                toStopId: leg.stopId,
+                distance: leg.access.distance,
+                departureTime: arrivalTime - leg.access.duration,
+                arrivalTime
+            });
+        } else if (leg.type === 'walk') {
+            result.push({ ...leg, from: stopPoint(leg.fromStopId), to: stopPoint(leg.toStopId) });
+        } else {
+            result.push({ ...leg, route: data.routes.find(r => r.id === leg.routeId) });
+        }
+    });
+
+    const last = result[result.length - 1];
+    if (egress.duration > 0) {
+        result.push({
+            type: 'walk',
+            from: stopPoint(egress.stopId),
+            fromStopId: egress.stopId,
+            to: pointOf(destination),
+            distance: egress.distance,
+            departureTime: last.arrivalTime,
+            arrivalTime: last.arrivalTime + egress.duration
+        });
+    }
+
+    return {
+        legs: result,
+        departureTime: result[0].departureTime,
+        arrivalTime: result[result.length - 1].arrivalTime,
+        transfers: Math.max(0, rides.length - 1),
+        walkDistance: result.filter(l => l.type === 'walk').reduce((sum, l) => sum + l.distance, 0)
+    };
+}
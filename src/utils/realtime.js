@@ -0,0 +1,157 @@
+import GtfsRealtimeBindings from 'gtfs-realtime-bindings';
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+// Comma-separated list of GTFS-Realtime endpoints (VehiclePositions and/or TripUpdates).
+// Can be overridden per session with ?realtime=<url>[,<url>] for testing against a mock server.
+export function getRealtimeUrls() {
+    const params = new URLSearchParams(window.location.search);
+    const raw = params.get('realtime') || import.meta.env.VITE_GTFS_RT_URLS || '';
+    return raw.split(',').map(url => url.trim()).filter(Boolean);
+}
+
+export const REALTIME_POLL_INTERVAL = 15000; // ms
+export const REALTIME_STALE_AFTER = 120;     // seconds without a fresh update before we fall back to simulation
+
+// Loaders
+// One endpoint failing doesn't throw away the others, only all of them failing is an error.
+// tripIndex (tripId -> { trip }) places stop time updates on the trips' stops.
+export async function fetchRealtimeFeed(urls, tripIndex = {}) {
+    const results = await Promise.allSettled(urls.map(async url => {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Realtime feed ${url} responded ${response.status}`);
+        const buffer = await response.arrayBuffer();
+        return FeedMessage.decode(new Uint8Array(buffer));
+    }));
+
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length === results.length) throw failed[0].reason;
+    failed.forEach(result => console.warn("Realtime feed skipped:", result.reason));
+
+    return mergeFeeds(results
+        .filter(result => result.status === 'fulfilled')
+        .map(result => parseFeedMessage(result.value, tripIndex)));
+}
+
+// Flatten a decoded FeedMessage into lookups keyed by tripId
+export function parseFeedMessage(message, tripIndex = {}) {
+    const feed = FeedMessage.toObject(message, { longs: Number, enums: String });
+    const result = {
+        timestamp: feed.header?.timestamp || 0,
+        vehicles: {},
+        tripUpdates: {}
+    };
+
+    (feed.entity || []).forEach(entity => {
+        if (entity.isDeleted) return;
+
+        const vehicle = entity.vehicle;
+        if (vehicle?.trip?.tripId && vehicle.position) {
+            result.vehicles[vehicle.trip.tripId] = {
+                vehicleId: vehicle.vehicle?.id || vehicle.vehicle?.label || entity.id,
+                label: vehicle.vehicle?.label || null,
+                position: [vehicle.position.latitude, vehicle.position.longitude],
+                bearing: vehicle.position.bearing ?? null,
+                timestamp: vehicle.timestamp || result.timestamp
+            };
+        }
+
+        const update = entity.tripUpdate;
+        if (update?.trip?.tripId) {
+            const stops = tripIndex[update.trip.tripId]?.trip.stops;
+            result.tripUpdates[update.trip.tripId] = {
+                ...(stops ? spreadStopDelays(update, stops) : { delay: update.delay ?? stopTimeDelay(update.stopTimeUpdate?.[0]) ?? 0 }),
+                cancelled: update.trip.scheduleRelationship === 'CANCELED',
+                timestamp: update.timestamp || result.timestamp
+            };
+        }
+    });
+
+    return result;
+}
+
+const stopTimeDelay = (stopTimeUpdate) => stopTimeUpdate?.departure?.delay ?? stopTimeUpdate?.arrival?.delay;
+
+// Helper: Per-stop delays from a TripUpdate, as the GTFS-RT spec propagates them: each stop_time_update's
+// delay holds for its own stop and every later one up to the next update. Stops before the first update
+// keep the trip-level delay, SKIPPED stops are skipped without passing a delay on, and NO_DATA clears it.
+function spreadStopDelays(update, stops) {
+    const stopDelays = new Array(stops.length).fill(null);
+    const skippedStops = [];
+    // Stop time updates come in stop order, matched by stop_sequence or else the next stop with that stop_id
+    const marks = [];
+    let from = 0;
+    (update.stopTimeUpdate || []).forEach(stopTimeUpdate => {
+        const index = Number.isInteger(stopTimeUpdate.stopSequence)
+            ? stops.findIndex(stop => stop.seq === stopTimeUpdate.stopSequence)
+            : stops.findIndex((stop, i) => i >= from && stop.stopId === stopTimeUpdate.stopId);
+        if (index === -1) return;
+        from = index;
+        if (stopTimeUpdate.scheduleRelationship === 'SKIPPED') skippedStops.push(index);
+        else marks.push({ index, delay: stopTimeUpdate.scheduleRelationship === 'NO_DATA' ? null : stopTimeDelay(stopTimeUpdate) ?? null });
+    });
+
+    marks.forEach(({ index, delay }, i) => {
+        const end = i + 1 < marks.length ? marks[i + 1].index : stops.length;
+        stopDelays.fill(delay, index, end);
+    });
+
+    return { delay: update.delay ?? 0, stopDelays, skippedStops };
+}
+
+function mergeFeeds(feeds) {
+    return feeds.reduce((merged, feed) => ({
+        timestamp: Math.max(merged.timestamp, feed.timestamp),
+        vehicles: { ...merged.vehicles, ...feed.vehicles },
+        tripUpdates: { ...merged.tripUpdates, ...feed.tripUpdates }
+    }), { timestamp: 0, vehicles: {}, tripUpdates: {} });
+}
+
+// Helper: Check whether a feed (or a single entity timestamp) is too old to trust
+export function isStale(timestamp, nowMs = Date.now()) {
+    if (!timestamp) return true;
+    return nowMs / 1000 - timestamp > REALTIME_STALE_AFTER;
+}
+
+// Helper: Combine simulated trips with live vehicle positions
+// mode 'merge'   -> live buses replace their simulated counterpart
+// mode 'compare' -> live buses are shown next to the simulated one
+export function mergeRealtimeTrips(simulatedTrips, feed, tripIndex, mode) {
+    if (!feed || mode === 'off' || isStale(feed.timestamp)) {
+        return simulatedTrips.map(trip => ({ ...trip, source: 'simulated' }));
+    }
+
+    const merged = [];
+    const seen = new Set();
+
+    simulatedTrips.forEach(trip => {
+        const live = feed.vehicles[trip.tripId];
+        const usable = live && !isStale(live.timestamp);
+
+        if (usable) {
+            seen.add(trip.tripId);
+            merged.push({ ...trip, position: live.position, bearing: live.bearing, vehicleId: live.vehicleId, source: 'live' });
+            if (mode === 'compare') merged.push({ ...trip, source: 'simulated' });
+        } else {
+            merged.push({ ...trip, source: 'simulated' });
+        }
+    });
+
+    // Live vehicles running trips the simulation doesn't consider active (early/late running)
+    Object.entries(feed.vehicles).forEach(([tripId, live]) => {
+        if (seen.has(tripId) || isStale(live.timestamp)) return;
+        const match = tripIndex[tripId];
+        if (!match) return;
+        merged.push({
+            ...match.trip,
+            route: match.route,
+            position: live.position,
+            bearing: live.bearing,
+            vehicleId: live.vehicleId,
+            status: 'moving',
+            source: 'live'
+        });
+    });
+
+    return merged;
+}
@@ -0,0 +1,166 @@
+import { timeToSeconds } from './gtfs.js';
+
+// Disruption scenarios for the simulator (training and UI testing)
+// A scenario is a JSON file, see public/scenarios/:
+//   { "name": "...", "description": "...", "events": [ ... ] }
+// with events of these types:
+//   { "type": "delay", "routeId" | "tripId", "minutes": 10 }        late from the first stop on
+//   { "type": "cancel", "routeId" | "tripId" }                      trip doesn't run
+//   { "type": "closeStop", "stopId": "..." }                        buses run past without calling
+//   { "type": "slowCorridor", "fromStopId": "...", "toStopId": "...", "factor": 2 }
+//                                                                   running time between the stops multiplied
+// Any event can be narrowed with "routeId"/"tripId", limited to a time window with "from"/"to"
+// ("HH:MM" or "HH:MM:SS", checked against the trip's start for delays and cancellations and against
+// the scheduled time at the stop or corridor otherwise) and explained with a "reason".
+// buildScenarioUpdates() turns the events into trip updates, the same shape the realtime feed
+// produces, so the engine, departure boards and legend pick them up without knowing about scenarios.
+
+const EVENT_FIELDS = {
+    delay: ['minutes'],
+    cancel: [],
+    closeStop: ['stopId'],
+    slowCorridor: ['fromStopId', 'toStopId', 'factor']
+};
+
+const fetchScenario = (file) => fetch(`/scenarios/${file}`).then(r => {
+    if (!r.ok) throw new Error(`Failed to load scenarios/${file} (${r.status})`);
+    return r.json();
+});
+
+// Helper: Scenarios bundled with the app for a feed ([{ id, name, feed }] from public/scenarios/index.json).
+// Their events name the feed's stop, route and trip ids, so each only applies to the feed it was written for.
+export async function loadScenarioIndex(feedId) {
+    const index = await fetchScenario('index.json');
+    return index.filter(entry => entry.feed === feedId);
+}
+
+// Helper: Load and check a bundled scenario
+export async function loadScenario(id) {
+    return validateScenario(await fetchScenario(`${id}.json`));
+}
+
+// Helper: Parse and check a scenario from a local file's text
+export function parseScenario(text) {
+    let scenario;
+    try {
+        scenario = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Scenario is not valid JSON: ${err.message}`);
+    }
+    return validateScenario(scenario);
+}
+
+// Helper: Throw a readable error for a malformed scenario, otherwise return it
+export function validateScenario(scenario) {
+    if (!scenario || typeof scenario !== 'object' || !Array.isArray(scenario.events)) {
+        throw new Error('Scenario needs an "events" array');
+    }
+    scenario.events.forEach((event, index) => {
+        const fields = EVENT_FIELDS[event?.type];
+        if (!fields) {
+            throw new Error(`Event ${index + 1}: unknown type "${event?.type}" (use ${Object.keys(EVENT_FIELDS).join(', ')})`);
+        }
+        const missing = fields.filter(field => event[field] === undefined);
+        if (missing.length > 0) throw new Error(`Event ${index + 1} (${event.type}): missing ${missing.join(', ')}`);
+        // JSON numbers only, a string like "ten" would turn every time it touches into NaN
+        if (event.minutes !== undefined && !Number.isFinite(event.minutes)) {
+            throw new Error(`Event ${index + 1} (${event.type}): "minutes" must be a number`);
+        }
+        if (event.factor !== undefined && !(Number.isFinite(event.factor) && event.factor > 0)) {
+            throw new Error(`Event ${index + 1} (${event.type}): "factor" must be a number above 0`);
+        }
+        ['from', 'to'].forEach(field => {
+            if (event[field] !== undefined && !/^\d{1,2}:\d{2}(:\d{2})?$/.test(event[field])) {
+                throw new Error(`Event ${index + 1} (${event.type}): "${field}" must be HH:MM or HH:MM:SS`);
+            }
+        });
+    });
+    return { name: 'Untitled scenario', description: '', ...scenario };
+}
+
+// Helper: "HH:MM" or "HH:MM:SS" to seconds
+const windowSeconds = (time) => timeToSeconds(time.length <= 5 ? `${time}:00` : time);
+
+function inWindow(event, time) {
+    if (event.from !== undefined && time < windowSeconds(event.from)) return false;
+    if (event.to !== undefined && time > windowSeconds(event.to)) return false;
+    return true;
+}
+
+// Helper: Trip updates for every trip a scenario touches:
+// { tripId: { delay, stopDelays, skippedStops, cancelled, reasons } }
+export function buildScenarioUpdates(scenario, schedule) {
+    const updates = {};
+
+    Object.entries(schedule).forEach(([routeId, trips]) => {
+        trips.forEach(trip => {
+            const stopIds = trip.stops.map(s => s.stopId);
+            const arrivals = trip.stops.map(s => timeToSeconds(s.arrival));
+            const departures = trip.stops.map(s => timeToSeconds(s.departure));
+            const stopDelays = stopIds.map(() => 0);
+            const skipped = new Set();
+            const reasons = new Set();
+            let cancelled = false;
+            let touched = false;
+
+            scenario.events.forEach(event => {
+                if (event.routeId !== undefined && event.routeId !== routeId) return;
+                if (event.tripId !== undefined && event.tripId !== trip.tripId) return;
+                let applies = false;
+
+                if (event.type === 'delay' && inWindow(event, departures[0])) {
+                    const delay = Math.round(event.minutes * 60);
+                    stopDelays.forEach((_, i) => { stopDelays[i] += delay; });
+                    applies = true;
+                } else if (event.type === 'cancel' && inWindow(event, departures[0])) {
+                    cancelled = true;
+                    applies = true;
+                } else if (event.type === 'closeStop') {
+                    stopIds.forEach((stopId, i) => {
+                        if (stopId === event.stopId && inWindow(event, arrivals[i])) {
+                            skipped.add(i);
+                            applies = true;
+                        }
+                    });
+                } else if (event.type === 'slowCorridor') {
+                    const from = stopIds.indexOf(event.fromStopId);
+                    const to = from === -1 ? -1 : stopIds.indexOf(event.toStopId, from + 1);
+                    for (let i = from; to !== -1 && i < to; i++) {
+                        if (!inWindow(event, departures[i])) continue;
+                        // The extra running time on this segment makes the bus late from the next stop on
+                        const extra = Math.round((arrivals[i + 1] - departures[i]) * (event.factor - 1));
+                        for (let j = i + 1; j < stopDelays.length; j++) stopDelays[j] += extra;
+                        applies = true;
+                    }
+                }
+
+                if (applies) {
+                    touched = true;
+                    if (event.reason) reasons.add(event.reason);
+                }
+            });
+
+            if (!touched) return;
+            updates[trip.tripId] = {
+                delay: stopDelays[0],
+                stopDelays,
+                skippedStops: [...skipped].sort((a, b) => a - b),
+                cancelled,
+                reasons: [...reasons]
+            };
+        });
+    });
+
+    return updates;
+}
+
+// Helper: Counts for the scenario summary
+export function summariseUpdates(updates) {
+    const values = Object.values(updates);
+    return {
+        trips: values.length,
+        cancelled: values.filter(u => u.cancelled).length,
+        delayed: values.filter(u => !u.cancelled && Math.max(...u.stopDelays) > 0).length,
+        skippedCalls: values.reduce((sum, u) => sum + (u.cancelled ? 0 : u.skippedStops.length), 0)
+    };
+}
@@ -0,0 +1,168 @@
+// Compact schedule format
+//
+// schedule.json repeated every stopId and "HH:MM:SS" string for every trip. The compact format
+// stores each route's trips inline in one index file, or optionally one file per route:
+//
+//   schedule/index.json   { version, stops: [stopId], services: [serviceId], routes: { routeId: <route> | { file } } }
+//   <route>               { patterns: [{ stops: [stopIdx], seq, times, shapeId, directionId, headsign }], trips: [[tripId, serviceIdx, patternIdx, start]] }
+//
+// Splitting per route costs an extra round trip before the schedule is usable, which on a
+// high-latency connection outweighs the byte savings for a network of this size.
+//
+// A pattern is a stop sequence plus its timings; trips that run the same pattern at a different
+// start time share it. Pattern times are flat [arr0, dep0, arr1, dep1, …] in integer seconds
+// relative to the trip's start, and `seq` is omitted when stop_sequence simply counts up from 1.
+// `directionId` is omitted when the feed has no direction_id.
+
+export const SCHEDULE_FORMAT_VERSION = 1;
+
+// Helper: Encode the { routeId: [trip] } schedule into the index and (when split) per-route payloads
+export function encodeSchedule(schedule, { splitRoutes = false } = {}) {
+    const stopIndex = new Map();
+    const serviceIndex = new Map();
+    const indexOf = (map, value) => {
+        if (!map.has(value)) map.set(value, map.size);
+        return map.get(value);
+    };
+
+    const routes = {};
+    const index = { version: SCHEDULE_FORMAT_VERSION, stops: [], services: [], routes: {} };
+
+    Object.entries(schedule).forEach(([routeId, trips]) => {
+        const patterns = [];
+        const patternKeys = new Map();
+        const encodedTrips = [];
+
+        trips.forEach(trip => {
+            const start = secondsOf(trip.stops[0].arrival);
+            const times = [];
+            trip.stops.forEach(stop => {
+                times.push(secondsOf(stop.arrival) - start, secondsOf(stop.departure) - start);
+            });
+            const stopIdxs = trip.stops.map(stop => indexOf(stopIndex, stop.stopId));
+            const seq = trip.stops.map(stop => stop.seq);
+            const countsUp = seq.every((value, i) => value === i + 1);
+
+            const pattern = {
+                stops: stopIdxs,
+                ...(countsUp ? {} : { seq }),
+                times,
+                shapeId: trip.shapeId,
+                ...(trip.directionId === null || trip.directionId === undefined ? {} : { directionId: trip.directionId }),
+                headsign: trip.headsign
+            };
+            const key = JSON.stringify(pattern);
+            if (!patternKeys.has(key)) {
+                patternKeys.set(key, patterns.length);
+                patterns.push(pattern);
+            }
+
+            encodedTrips.push([trip.tripId, indexOf(serviceIndex, trip.serviceId), patternKeys.get(key), start]);
+        });
+
+        const route = { patterns, trips: encodedTrips };
+        if (splitRoutes) {
+            routes[routeId] = route;
+            index.routes[routeId] = { file: `schedule/${encodeURIComponent(routeId)}.json` };
+        } else {
+            index.routes[routeId] = route;
+        }
+    });
+
+    index.stops = [...stopIndex.keys()];
+    index.services = [...serviceIndex.keys()];
+
+    return { index, routes };
+}
+
+// Helper: Routes whose trips live in their own file and need fetching before decoding
+export function getRouteFiles(index) {
+    return Object.entries(index.routes)
+        .filter(([, route]) => route.file)
+        .map(([routeId, route]) => ({ routeId, file: route.file }));
+}
+
+// Helper: Visit every stop call straight from the compact payloads, without decoding any trip:
+// fn(routeId, trip, stopId, stopIndex, departure) with trip { tripId, serviceId, directionId, headsign, stopCount }
+// (one object per trip) and departure in seconds on the service day.
+export function forEachStopCall(index, routeFiles, fn) {
+    Object.keys(index.routes).forEach(routeId => {
+        const { patterns, trips } = routeFiles[routeId] || index.routes[routeId];
+        trips.forEach(([tripId, serviceIdx, patternIdx, start]) => {
+            const pattern = patterns[patternIdx];
+            const trip = {
+                tripId,
+                serviceId: index.services[serviceIdx],
+                directionId: pattern.directionId ?? null,
+                headsign: pattern.headsign,
+                stopCount: pattern.stops.length
+            };
+            pattern.stops.forEach((stopIdx, i) => {
+                fn(routeId, trip, index.stops[stopIdx], i, start + pattern.times[i * 2 + 1]);
+            });
+        });
+    });
+}
+
+// Helper: Expose the compact payloads as the familiar { routeId: [trip] } schedule.
+// Routes are decoded on first access and each trip's stop list on first use. Trips also carry
+// stopIds (shared by the trips of a pattern) and firstDeparture (seconds), non-enumerable so they
+// stay out of JSON, for the startup code that would otherwise decode every stop list for them.
+export function decodeSchedule(index, routeFiles = {}) {
+    if (index.version !== SCHEDULE_FORMAT_VERSION) {
+        throw new Error(`Unsupported schedule format version ${index.version}`);
+    }
+
+    const schedule = {};
+    Object.keys(index.routes).forEach(routeId => {
+        let trips = null;
+        Object.defineProperty(schedule, routeId, {
+            enumerable: true,
+            get: () => trips || (trips = decodeRoute(index, routeFiles[routeId] || index.routes[routeId]))
+        });
+    });
+    return schedule;
+}
+
+function decodeRoute(index, { patterns, trips }) {
+    const patternStopIds = patterns.map(pattern => pattern.stops.map(stopIdx => index.stops[stopIdx]));
+
+    return trips.map(([tripId, serviceIdx, patternIdx, start]) => {
+        const pattern = patterns[patternIdx];
+        const trip = {
+            tripId,
+            serviceId: index.services[serviceIdx],
+            shapeId: pattern.shapeId,
+            directionId: pattern.directionId ?? null,
+            headsign: pattern.headsign
+        };
+
+        Object.defineProperty(trip, 'stopIds', { value: patternStopIds[patternIdx] });
+        Object.defineProperty(trip, 'firstDeparture', { value: start + pattern.times[1] });
+
+        let stops = null;
+        Object.defineProperty(trip, 'stops', {
+            enumerable: true,
+            get: () => stops || (stops = pattern.stops.map((stopIdx, i) => ({
+                stopId: index.stops[stopIdx],
+                arrival: secondsToTime(start + pattern.times[i * 2]),
+                departure: secondsToTime(start + pattern.times[i * 2 + 1]),
+                seq: pattern.seq ? pattern.seq[i] : i + 1
+            })))
+        });
+        return trip;
+    });
+}
+
+function secondsOf(timeStr) {
+    const [h, m, s] = timeStr.split(':').map(Number);
+    return h * 3600 + m * 60 + s;
+}
+
+// "HH:MM:SS" without wrapping, so trips past midnight keep GTFS times like 24:30:00
+function secondsToTime(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    return [h, m, s].map(v => String(v).padStart(2, '0')).join(':');
+}
@@ -0,0 +1,127 @@
+// Search over stops and routes
+// Names are upper-case Malay with lots of abbreviations ("SK PADANG GARONG", "TMN UDA MURNI"),
+// so both the names and the query are normalised the same way: accents and punctuation dropped,
+// lower-cased and abbreviations expanded. Matching is per word: exact, prefix, then typo-tolerant.
+
+// Common Malaysian place-name abbreviations and what they stand for
+const ABBREVIATIONS = {
+    sk: 'sekolah kebangsaan',
+    smk: 'sekolah menengah kebangsaan',
+    sek: 'sekolah',
+    tmn: 'taman',
+    jln: 'jalan',
+    jl: 'jalan',
+    lrg: 'lorong',
+    kg: 'kampung',
+    kpg: 'kampung',
+    kampong: 'kampung',
+    bdr: 'bandar',
+    bt: 'batu',
+    hosp: 'hospital',
+    sg: 'sungai',
+    sri: 'seri',
+    pkn: 'pekan',
+    ctr: 'centre',
+    stn: 'stesen'
+};
+
+const EXACT = 3;
+const PREFIX = 2;
+const FUZZY = 1;
+
+// Helper: Normalised words of a text, with abbreviations expanded
+export function normaliseWords(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean)
+        .flatMap(word => (ABBREVIATIONS[word] || word).split(' '));
+}
+
+// Helper: Searchable entries for every stop and route
+export function buildSearchIndex(data) {
+    const entries = [];
+
+    Object.entries(data.stops).forEach(([stopId, stop]) => {
+        entries.push({
+            type: 'stop',
+            id: stopId,
+            label: stop.name,
+            sublabel: `Stop ${stopId}`,
+            words: normaliseWords(stop.name),
+            position: [stop.lat, stop.lon]
+        });
+    });
+
+    data.routes.forEach(route => {
+        entries.push({
+            type: 'route',
+            id: route.id,
+            label: route.shortName,
+            sublabel: route.longName,
+            color: route.color,
+            words: [...normaliseWords(route.shortName), ...normaliseWords(route.longName)]
+        });
+    });
+
+    return entries;
+}
+
+// Helper: Best matches for a query, highest score first
+export function search(index, query, limit = 8) {
+    const queryWords = normaliseWords(query);
+    if (queryWords.length === 0) return [];
+
+    const results = [];
+    index.forEach(entry => {
+        let score = 0;
+        for (const queryWord of queryWords) {
+            const wordScore = Math.max(0, ...entry.words.map(word => matchWord(queryWord, word)));
+            if (wordScore === 0) return; // every query word has to match something
+            score += wordScore;
+        }
+        // Prefer entries whose name starts with the query, then shorter names
+        if (entry.words.join(' ').startsWith(queryWords.join(' '))) score += 1;
+        results.push({ ...entry, score });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.words.length - b.words.length || a.label.localeCompare(b.label))
+        .slice(0, limit);
+}
+
+function matchWord(queryWord, word) {
+    if (word === queryWord) return EXACT;
+    if (word.startsWith(queryWord)) return PREFIX;
+    // Allow a typo in longer words (one edit from 4 letters, two from 7), against the whole word or its start
+    const allowed = queryWord.length >= 7 ? 2 : queryWord.length >= 4 ? 1 : 0;
+    if (allowed === 0) return 0;
+    const candidate = word.slice(0, queryWord.length + allowed);
+    return Math.min(editDistance(queryWord, word, allowed), editDistance(queryWord, candidate, allowed)) <= allowed ? FUZZY : 0;
+}
+
+// Helper: Damerau-Levenshtein distance (adjacent swaps count once), giving up above `max`
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[0].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(value);
+        }
+    }
+    return rows[a.length][b.length];
+}
@@ -0,0 +1,314 @@
+import { isServiceActive, getServiceDays, timeToSeconds, haversineDistance, getStopDelay } from './gtfs.js';
+import { decodeSchedule } from './scheduleFormat.js';
+
+// Simulation engine
+// Works out where every scheduled bus is at a given service date and time. Everything that
+// doesn't depend on the clock (numeric stop times, how far along its shape each stop sits)
+// is precomputed once in buildSimulation(), so each tick is a handful of array lookups.
+// Kept free of React and browser APIs so it can run in a Web Worker or in Node.
+// With vehicle blocks (see blocks.js) a bus stays on the map between the trips of its block,
+// laying over at the terminal, and every entry carries the `vehicle` it belongs to.
+
+// Helper: Precompute per-trip timings and shape distances
+export function buildSimulation({ schedule, stops, shapes, calendar, blocks = [] }) {
+    const shapeDistances = {};  // shapeId -> cumulative metres at each shape point
+    const stopDistances = {};   // `${shapeId}|${stopIds}` -> metres along the shape for each stop
+    const trips = [];
+
+    Object.entries(schedule).forEach(([routeId, routeTrips]) => {
+        routeTrips.forEach(trip => {
+            const shape = shapes[trip.shapeId];
+            const stopIds = trip.stops.map(s => s.stopId);
+            const coords = stopIds.map(stopId => stops[stopId]);
+            if (coords.some(c => !c)) return; // Can't place a bus on a stop we don't know
+
+            let distances = null;
+            if (shape && shape.length >= 2) {
+                if (!shapeDistances[trip.shapeId]) shapeDistances[trip.shapeId] = cumulativeDistances(shape);
+                const key = `${trip.shapeId}|${stopIds.join(',')}`;
+                if (!stopDistances[key]) stopDistances[key] = snapStopsToShape(shape, shapeDistances[trip.shapeId], coords);
+                distances = stopDistances[key];
+            }
+
+            trips.push({
+                tripId: trip.tripId,
+                routeId,
+                serviceId: trip.serviceId,
+                shapeId: trip.shapeId,
+                directionId: trip.directionId,
+                headsign: trip.headsign,
+                stopIds,
+                arrivals: trip.stops.map(s => timeToSeconds(s.arrival)),
+                departures: trip.stops.map(s => timeToSeconds(s.departure)),
+                distances
+            });
+        });
+    });
+
+    // Consecutive trips of a block, the bus lays over between them
+    const tripsById = Object.fromEntries(trips.map(trip => [trip.tripId, trip]));
+    const layovers = [];
+    blocks.forEach(block => {
+        const blockTrips = block.trips.map(tripId => tripsById[tripId]).filter(Boolean);
+        blockTrips.forEach((trip, i) => {
+            trip.blockId = block.id;
+            if (i > 0) layovers.push({ blockId: block.id, previous: blockTrips[i - 1], next: trip });
+        });
+    });
+
+    return { trips, tripsById, layovers, stops, shapes, shapeDistances, calendar };
+}
+
+// Helper: Positions of every bus on the road at serviceDate + seconds.
+// tripUpdates (see getStopDelay in gtfs.js) shift trips along their timetable. Cancelled trips are
+// left out, or with includeCancelled kept (flagged cancelled) where the timetable would have them.
+// With includeLayovers, buses between two trips of their block are included at the terminal
+// (status 'layover', as the next trip, layoverEnd its departure).
+export function getActiveTrips(simulation, serviceDate, seconds, tripUpdates = {}, { includeCancelled = false, includeLayovers = false } = {}) {
+    const serviceDays = getServiceDays(serviceDate);
+    const active = [];
+
+    simulation.trips.forEach(trip => {
+        const update = tripUpdates[trip.tripId];
+        const cancelled = Boolean(update?.cancelled);
+        if (cancelled && !includeCancelled) return;
+        const times = cancelled ? trip : getUpdatedTimes(trip, update);
+
+        const startSec = times.departures[0];
+        const endSec = times.arrivals[times.arrivals.length - 1];
+
+        // Check if trip is on the road on one of its service days (yesterday's for trips past 24:00:00)
+        const serviceDay = serviceDays.find(({ serviceDate: day, offset }) => {
+            const tripSeconds = seconds + offset;
+            return tripSeconds >= startSec && tripSeconds <= endSec
+                && isServiceActive(trip.serviceId, simulation.calendar, day);
+        });
+        if (!serviceDay) return;
+
+        const state = locateOnTrip(simulation, trip, times, seconds + serviceDay.offset);
+        if (!state) return;
+
+        // Delay at the stop the bus is at or heading for
+        const delay = cancelled ? 0 : getStopDelay(update, state.status === 'moving' ? state.stopIndex + 1 : state.stopIndex);
+
+        // offset: seconds to subtract from the trip's own times to put them on today's clock
+        active.push(describeTrip(trip, { delay, cancelled, offset: serviceDay.offset, ...state }));
+    });
+
+    if (includeLayovers) {
+        simulation.layovers.forEach(({ previous, next }) => {
+            const previousUpdate = tripUpdates[previous.tripId];
+            const nextUpdate = tripUpdates[next.tripId];
+            if (previousUpdate?.cancelled || nextUpdate?.cancelled) return;
+
+            const arrived = getUpdatedTimes(previous, previousUpdate).arrivals[previous.arrivals.length - 1];
+            const departs = getUpdatedTimes(next, nextUpdate).departures[0];
+            // Both trips run on the same service day, so the next one's calendar decides
+            const serviceDay = serviceDays.find(({ serviceDate: day, offset }) => {
+                const tripSeconds = seconds + offset;
+                return tripSeconds > arrived && tripSeconds < departs
+                    && isServiceActive(next.serviceId, simulation.calendar, day);
+            });
+            if (!serviceDay) return;
+
+            const stop = simulation.stops[next.stopIds[0]];
+            active.push(describeTrip(next, {
+                delay: getStopDelay(nextUpdate, 0),
+                cancelled: false,
+                offset: serviceDay.offset,
+                position: [stop.lat, stop.lon],
+                bearing: getStopBearing(simulation, next, 0),
+                status: 'layover',
+                stopIndex: 0,
+                progress: 0,
+                layoverEnd: departs
+            }));
+        });
+    }
+
+    // A late bus can still be finishing one trip when its block's next is due out; the later trip
+    // then shows as a bus of its own rather than two markers claiming the same vehicle
+    const claimed = new Set();
+    const startOf = (entry) => simulation.tripsById[entry.tripId].departures[0];
+    active
+        .filter(entry => entry.blockId)
+        .sort((a, b) => startOf(a) - startOf(b))
+        .forEach(entry => {
+            if (claimed.has(entry.vehicle)) entry.vehicle = entry.tripId;
+            else claimed.add(entry.vehicle);
+        });
+
+    return active;
+}
+
+// Helper: Engine entry for a trip in a given state
+function describeTrip(trip, state) {
+    return {
+        tripId: trip.tripId,
+        routeId: trip.routeId,
+        serviceId: trip.serviceId,
+        shapeId: trip.shapeId,
+        directionId: trip.directionId,
+        headsign: trip.headsign,
+        blockId: trip.blockId || null,
+        // The simulated bus: its block, or the trip itself when blocks are unknown
+        vehicle: trip.blockId || trip.tripId,
+        ...state
+    };
+}
+
+// Helper: A trip's arrival and departure times with an update applied.
+// A skipped stop (closed, or SKIPPED in the realtime feed) loses its dwell: the bus runs past it.
+function getUpdatedTimes(trip, update) {
+    if (!update || (!update.delay && !update.stopDelays && !update.skippedStops?.length)) return trip;
+    const skipped = new Set(update.skippedStops || []);
+    const arrivals = trip.arrivals.map((time, i) => time + getStopDelay(update, i));
+    return {
+        arrivals,
+        departures: trip.departures.map((time, i) => (skipped.has(i) ? arrivals[i] : time + getStopDelay(update, i))),
+        skipped
+    };
+}
+
+// Helper: Where a trip is at a time on its (updated) timetable
+function locateOnTrip(simulation, trip, { arrivals, departures, skipped }, t) {
+    const { distances } = trip;
+
+    for (let i = 0; i < arrivals.length - 1; i++) {
+        const t1 = departures[i];
+        const t2 = arrivals[i + 1];
+
+        if (t >= t1 && t <= t2) {
+            const progress = t2 > t1 ? (t - t1) / (t2 - t1) : 0;
+            if (distances) {
+                const distance = distances[i] + (distances[i + 1] - distances[i]) * progress;
+                const { position, bearing } = pointAtDistance(simulation.shapes[trip.shapeId], simulation.shapeDistances[trip.shapeId], distance);
+                return { position, bearing, status: 'moving', stopIndex: i, progress };
+            }
+            // No shape: straight line between the stops
+            const from = simulation.stops[trip.stopIds[i]];
+            const to = simulation.stops[trip.stopIds[i + 1]];
+            return {
+                position: [from.lat + (to.lat - from.lat) * progress, from.lon + (to.lon - from.lon) * progress],
+                bearing: getBearing([from.lat, from.lon], [to.lat, to.lon]),
+                status: 'moving',
+                stopIndex: i,
+                progress
+            };
+        } else if (t >= arrivals[i] && t < t1 && !skipped?.has(i)) {
+            const stop = simulation.stops[trip.stopIds[i]];
+            return { position: [stop.lat, stop.lon], bearing: getStopBearing(simulation, trip, i), status: 'dwelling', stopIndex: i, progress: 0 };
+        }
+    }
+    return null;
+}
+
+// Helper: Heading of a bus standing at one of a trip's stops, facing the way it will leave
+function getStopBearing(simulation, trip, i) {
+    const stop = simulation.stops[trip.stopIds[i]];
+    const next = simulation.stops[trip.stopIds[i + 1]];
+    return trip.distances
+        ? pointAtDistance(simulation.shapes[trip.shapeId], simulation.shapeDistances[trip.shapeId], trip.distances[i]).bearing
+        : getBearing([stop.lat, stop.lon], [next.lat, next.lon]);
+}
+
+// Helper: Cumulative distance in metres at each point of a shape
+function cumulativeDistances(shape) {
+    const result = [0];
+    for (let i = 1; i < shape.length; i++) {
+        result.push(result[i - 1] + haversineDistance(shape[i - 1], shape[i]));
+    }
+    return result;
+}
+
+// Helper: Distance along the shape for each stop (our equivalent of shape_dist_traveled).
+// Stops are projected onto the nearest shape segment, searching forward from the previous
+// stop so loops and out-and-back shapes keep stops in order.
+function snapStopsToShape(shape, cumDist, coords) {
+    let fromSegment = 0;
+    let lastDistance = 0;
+
+    return coords.map(stop => {
+        let best = { d2: Infinity, segment: fromSegment, t: 0 };
+        // Longitude degrees shrink with latitude, scale them so the projection is roughly metric
+        const kx = Math.cos(stop.lat * Math.PI / 180);
+
+        for (let j = fromSegment; j < shape.length - 1; j++) {
+            const [ay, ax] = shape[j];
+            const [by, bx] = shape[j + 1];
+            const dx = (bx - ax) * kx;
+            const dy = by - ay;
+            const px = (stop.lon - ax) * kx;
+            const py = stop.lat - ay;
+            const len2 = dx * dx + dy * dy;
+            const t = len2 > 0 ? Math.max(0, Math.min(1, (px * dx + py * dy) / len2)) : 0;
+            const d2 = (px - t * dx) ** 2 + (py - t * dy) ** 2;
+            if (d2 < best.d2) best = { d2, segment: j, t };
+        }
+
+        fromSegment = best.segment;
+        const distance = cumDist[best.segment] + (cumDist[best.segment + 1] - cumDist[best.segment]) * best.t;
+        lastDistance = Math.max(lastDistance, distance);
+        return lastDistance;
+    });
+}
+
+// Helper: Point and heading at a distance along a shape (binary search over cumulative distances)
+function pointAtDistance(shape, cumDist, distance) {
+    const last = cumDist.length - 1;
+    const clamped = Math.max(0, Math.min(distance, cumDist[last]));
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (cumDist[mid] <= clamped) lo = mid;
+        else hi = mid;
+    }
+
+    const segment = cumDist[hi] - cumDist[lo];
+    const ratio = segment > 0 ? (clamped - cumDist[lo]) / segment : 0;
+    return {
+        position: [
+            shape[lo][0] + (shape[hi][0] - shape[lo][0]) * ratio,
+            shape[lo][1] + (shape[hi][1] - shape[lo][1]) * ratio
+        ],
+        bearing: getBearing(shape[lo], shape[hi])
+    };
+}
+
+// Helper: Initial bearing from p1 to p2 in degrees clockwise from north
+function getBearing(p1, p2) {
+    const φ1 = p1[0] * Math.PI / 180;
+    const φ2 = p2[0] * Math.PI / 180;
+    const Δλ = (p2[1] - p1[1]) * Math.PI / 180;
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Helper: Message protocol shared by the Web Worker and the main-thread fallback.
+//   { type: 'init', data: { schedule, stops, shapes, calendar, blocks } }, or compactSchedule ({ index, routeFiles }
+//   from loadData) in place of schedule, so the caller never decodes the trips and the engine does it instead
+//   { type: 'tick', serviceDate, seconds, tripUpdates, includeCancelled, includeLayovers } -> { type: 'trips', serviceDate, seconds, trips }
+// A tick without tripUpdates keeps the ones the last tick sent.
+export function createSimulationHandler() {
+    let simulation = null;
+    let tripUpdates = {};
+
+    return (message) => {
+        if (message.type === 'init') {
+            const { compactSchedule, ...data } = message.data;
+            simulation = buildSimulation(compactSchedule
+                ? { ...data, schedule: decodeSchedule(compactSchedule.index, compactSchedule.routeFiles) }
+                : data);
+            return null;
+        }
+        if (message.type === 'tick' && simulation) {
+            const { serviceDate, seconds, includeCancelled, includeLayovers } = message;
+            if (message.tripUpdates) tripUpdates = message.tripUpdates;
+            return { type: 'trips', serviceDate, seconds, trips: getActiveTrips(simulation, serviceDate, seconds, tripUpdates, { includeCancelled, includeLayovers }) };
+        }
+        return null;
+    };
+}
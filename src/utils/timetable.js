@@ -0,0 +1,244 @@
+import { isServiceActive, getRouteDirections, timeToSeconds, formatTime, getInstant, addDays, DEFAULT_TIMEZONE } from './gtfs.js';
+
+// Printable timetables and iCalendar exports
+// Shared by the app (StopPanel / RouteStrip export buttons) and scripts/export-timetable.js.
+// Printable output is a self-contained HTML page; printing it from the browser gives the PDF.
+
+const DAY_NAMES = [
+    ['monday', 'Mon'], ['tuesday', 'Tue'], ['wednesday', 'Wed'], ['thursday', 'Thu'],
+    ['friday', 'Fri'], ['saturday', 'Sat'], ['sunday', 'Sun']
+];
+
+// Helper: Short description of the weekdays a service runs, e.g. "Mon–Fri" or "Sat, Sun"
+export function describeServiceDays(service) {
+    if (!service) return '';
+    const days = DAY_NAMES.map(([key, label], index) => ({ label, index, runs: Boolean(service[key]) })).filter(d => d.runs);
+    if (days.length === 0) return 'Special dates';
+    const consecutive = days.every((d, i) => i === 0 || d.index === days[i - 1].index + 1);
+    if (consecutive && days.length > 2) return `${days[0].label}–${days[days.length - 1].label}`;
+    return days.map(d => d.label).join(', ');
+}
+
+// Helper: Service columns in a stable order, services running on Mondays first (WEEKDAY before WEEKEND)
+function orderServices(serviceIds, calendar) {
+    const firstDay = (serviceId) => {
+        const index = DAY_NAMES.findIndex(([key]) => calendar[serviceId]?.[key]);
+        return index === -1 ? DAY_NAMES.length : index;
+    };
+    return [...serviceIds].sort((a, b) => firstDay(a) - firstDay(b) || a.localeCompare(b));
+}
+
+// Helper: { hour: [minute, ...] } from departure times in seconds
+function groupByHour(times) {
+    const hours = {};
+    [...times].sort((a, b) => a - b).forEach(time => {
+        const hour = Math.floor(time / 3600);
+        if (!hours[hour]) hours[hour] = [];
+        hours[hour].push(Math.floor((time % 3600) / 60));
+    });
+    return hours;
+}
+
+// Helper: Departures from a stop per route and direction, split by service and grouped by hour.
+// Returns { kind: 'stop', stopId, stop, services, groups: [{ route, directionId, headsign, byService: { serviceId: { hour: [minutes] } } }] }
+export function buildStopTimetable(stopId, data) {
+    const groups = {};
+    const serviceIds = new Set();
+
+    (data.stopSchedules[stopId] || []).forEach(entry => {
+        if (entry.isTerminus) return;
+        const key = `${entry.route.id}|${entry.directionId}`;
+        if (!groups[key]) groups[key] = { route: entry.route, directionId: entry.directionId, headsign: entry.headsign, times: {} };
+        (groups[key].times[entry.serviceId] = groups[key].times[entry.serviceId] || []).push(entry.time);
+        serviceIds.add(entry.serviceId);
+    });
+
+    return {
+        kind: 'stop',
+        stopId,
+        stop: data.stops[stopId],
+        services: orderServices(serviceIds, data.calendar),
+        groups: Object.values(groups)
+            .sort((a, b) => a.route.shortName.localeCompare(b.route.shortName) || (a.directionId ?? 0) - (b.directionId ?? 0))
+            .map(({ times, ...group }) => ({
+                ...group,
+                byService: Object.fromEntries(Object.entries(times).map(([serviceId, list]) => [serviceId, groupByHour(list)]))
+            }))
+    };
+}
+
+// Helper: Route timetable: for each direction, the stops with typical minutes from the first stop,
+// and departures from the first stop split by service and grouped by hour.
+export function buildRouteTimetable(routeId, data) {
+    const route = data.routes.find(r => r.id === routeId);
+    const trips = data.schedule[routeId] || [];
+    const serviceIds = new Set(trips.map(trip => trip.serviceId));
+
+    const directions = getRouteDirections(routeId, data.schedule).map(direction => {
+        const pattern = direction.stopIds.join('\n');
+        const matching = trips.filter(trip => trip.directionId === direction.directionId && trip.stops.map(s => s.stopId).join('\n') === pattern);
+        // Running times come from the first trip on the usual pattern
+        const sample = matching[0];
+        const start = timeToSeconds(sample.stops[0].departure);
+        const times = {};
+        matching.forEach(trip => {
+            (times[trip.serviceId] = times[trip.serviceId] || []).push(timeToSeconds(trip.stops[0].departure));
+        });
+
+        return {
+            ...direction,
+            stops: sample.stops.map(stop => ({
+                stopId: stop.stopId,
+                name: data.stops[stop.stopId]?.name || stop.stopId,
+                minutes: Math.round((timeToSeconds(stop.arrival) - start) / 60)
+            })),
+            byService: Object.fromEntries(Object.entries(times).map(([serviceId, list]) => [serviceId, groupByHour(list)]))
+        };
+    });
+
+    return { kind: 'route', routeId, route, services: orderServices(serviceIds, data.calendar), directions };
+}
+
+const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// Helper: Hour rows for a set of services ({ serviceId: { hour: [minutes] } })
+function renderHourTable(byService, services, calendar) {
+    const hours = [...new Set(services.flatMap(serviceId => Object.keys(byService[serviceId] || {}).map(Number)))].sort((a, b) => a - b);
+    const header = services.map(serviceId => (
+        `<th>${escapeHTML(serviceId)}<small>${escapeHTML(describeServiceDays(calendar[serviceId]))}</small></th>`
+    )).join('');
+    const rows = hours.map(hour => {
+        const cells = services.map(serviceId => {
+            const minutes = byService[serviceId]?.[hour] || [];
+            return `<td>${minutes.map(m => String(m).padStart(2, '0')).join(' ')}</td>`;
+        }).join('');
+        return `<tr><th class="hour">${String(hour % 24).padStart(2, '0')}</th>${cells}</tr>`;
+    }).join('');
+    return `<table><thead><tr><th class="hour">Hour</th>${header}</tr></thead><tbody>${rows}</tbody></table>`;
+}
+
+// Helper: Printable HTML page for a stop or route timetable
+export function renderTimetableHTML(timetable, data, { generatedAt = new Date() } = {}) {
+    const { calendar } = data;
+    let title;
+    let body;
+
+    if (timetable.kind === 'stop') {
+        title = timetable.stop?.name || timetable.stopId;
+        body = timetable.groups.map(group => `
+            <section>
+                <h2 style="background:${escapeHTML(group.route.color)}"><b>${escapeHTML(group.route.shortName)}</b> to ${escapeHTML(group.headsign)}</h2>
+                <p class="sub">${escapeHTML(group.route.longName)}</p>
+                ${renderHourTable(group.byService, timetable.services, calendar)}
+            </section>`).join('') || '<p>No departures from this stop.</p>';
+    } else {
+        title = `${timetable.route.shortName} ${timetable.route.longName}`;
+        body = timetable.directions.map(direction => `
+            <section>
+                <h2 style="background:${escapeHTML(timetable.route.color)}"><b>${escapeHTML(timetable.route.shortName)}</b> to ${escapeHTML(direction.headsign)}</h2>
+                <div class="columns">
+                    <ol class="stops">${direction.stops.map(stop => `<li><span>${escapeHTML(stop.name)}</span><span>+${stop.minutes}</span></li>`).join('')}</ol>
+                    <div>
+                        <p class="sub">Departures from ${escapeHTML(direction.stops[0]?.name)}</p>
+                        ${renderHourTable(direction.byService, timetable.services, calendar)}
+                    </div>
+                </div>
+            </section>`).join('');
+    }
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)} – Timetable</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #111; margin: 24px; }
+    h1 { margin: 0 0 4px; font-size: 22px; }
+    h2 { color: #fff; font-size: 15px; font-weight: normal; padding: 6px 10px; margin: 0; border-radius: 4px 4px 0 0; text-shadow: 0 1px 1px rgba(0,0,0,.4); }
+    section { margin: 18px 0; break-inside: avoid; }
+    table { border-collapse: collapse; width: 100%; font-variant-numeric: tabular-nums; }
+    th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; font-size: 13px; vertical-align: top; }
+    th small { display: block; font-weight: normal; color: #666; font-size: 11px; }
+    th.hour { width: 48px; text-align: center; background: #f3f3f3; }
+    td { letter-spacing: .05em; }
+    .sub, .meta { color: #555; font-size: 12px; margin: 4px 0; }
+    .columns { display: grid; grid-template-columns: minmax(180px, 1fr) 2fr; gap: 16px; }
+    ol.stops { margin: 8px 0; padding-left: 20px; font-size: 12px; }
+    ol.stops li span:last-child { float: right; color: #666; }
+    @media print { body { margin: 10mm; } }
+</style>
+</head>
+<body>
+<h1>${escapeHTML(title)}</h1>
+<p class="meta">${timetable.kind === 'stop' ? `Stop ${escapeHTML(timetable.stopId)} · ` : ''}Times are scheduled departures. Generated ${escapeHTML(generatedAt.toISOString().slice(0, 10))}.</p>
+${body}
+</body>
+</html>
+`;
+}
+
+// Helper: Escape and fold an iCalendar content line (RFC 5545: 75 octets, continuation lines start with a space)
+function icsLine(name, value, escape = true) {
+    const text = escape ? String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1') : String(value);
+    const line = `${name}:${text}`;
+    const chunks = [];
+    let rest = line;
+    while (new TextEncoder().encode(rest).length > 75) {
+        let cut = 75;
+        while (new TextEncoder().encode(rest.slice(0, cut)).length > 75) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = ' ' + rest.slice(cut);
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n');
+}
+
+// The app serves several cities, so calendar exports name the product rather than a city
+const ICS_PRODUCT = 'MyBAS Bus Tracker';
+const ICS_UID_DOMAIN = 'mybas-bus-tracker';
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Helper: iCalendar file with one event per departure of a route from a stop, for `days` service days
+// starting at `fromDate` ("YYYYMMDD"). Times are written in UTC so no VTIMEZONE block is needed.
+export function buildStopICS(stopId, routeId, data, { fromDate, days = 7, directionId, now = new Date() }) {
+    const timeZone = data.timezone || DEFAULT_TIMEZONE;
+    const stop = data.stops[stopId];
+    const route = data.routes.find(r => r.id === routeId);
+    const entries = (data.stopSchedules[stopId] || []).filter(entry => (
+        entry.route.id === routeId && !entry.isTerminus && (directionId === undefined || entry.directionId === directionId)
+    ));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:-//${ICS_PRODUCT}//Timetable Export//EN`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        icsLine('X-WR-CALNAME', `${route?.shortName || routeId} from ${stop?.name || stopId}`)
+    ];
+
+    for (let i = 0; i < days; i++) {
+        const serviceDate = addDays(fromDate, i);
+        entries.forEach(entry => {
+            if (!isServiceActive(entry.serviceId, data.calendar, serviceDate)) return;
+            const start = getInstant(serviceDate, entry.time, timeZone);
+            lines.push(
+                'BEGIN:VEVENT',
+                // A looping trip calls at the stop twice, the stop index keeps its events apart
+                icsLine('UID', `${entry.tripId}-${entry.stopIndex}-${serviceDate}-${stopId}@${data.feedId}.${ICS_UID_DOMAIN}`, false),
+                `DTSTAMP:${icsDate(now)}`,
+                `DTSTART:${icsDate(start)}`,
+                `DTEND:${icsDate(new Date(start.getTime() + 60 * 1000))}`,
+                icsLine('SUMMARY', `${entry.route.shortName} to ${entry.headsign}`),
+                icsLine('LOCATION', stop?.name || stopId),
+                icsLine('DESCRIPTION', `Departs ${stop?.name || stopId} at ${formatTime(entry.time)} (trip ${entry.tripId})`),
+                ...(stop ? [`GEO:${stop.lat};${stop.lon}`] : []),
+                'END:VEVENT'
+            );
+        });
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,9 @@
+import { createSimulationHandler } from '../utils/simulation.js';
+
+// Runs the simulation engine off the main thread so high simulation speeds don't block rendering
+const handle = createSimulationHandler();
+
+self.onmessage = (event) => {
+    const reply = handle(event.data);
+    if (reply) self.postMessage(reply);
+};